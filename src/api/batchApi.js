@@ -1,369 +1,1263 @@
 import fs from "fs";
-import { encodeImage } from "../utils/imageEncoder.js";
-import fetch from "node-fetch";
 import path from "path";
 import { createWriteStream } from "fs";
-import FormData from "form-data";
+import { EventEmitter, once } from "events";
+import { MAX_TOKENS, buildCaptionRequest } from "./visionApi.js";
+import { estimateInputTokens } from "../utils/costEstimator.js";
+import { getRelativeImagePath } from "../utils/dataset.js";
+import { createCaptionWriter } from "../utils/exporters.js";
+import { createFailureLog, printFailureHint } from "../utils/failures.js";
+import {
+  DEFAULT_ALTERNATE_PROMPT,
+  DEFAULT_RESPONSE_POLICIES,
+  InvalidResponseError,
+  getResponseError,
+  getRetryRequest,
+} from "../utils/responseValidation.js";
+import { createPostProcessor } from "../utils/postProcessing.js";
+import { formatUSD } from "../utils/pricing.js";
+import { BudgetExceededError } from "../utils/usage.js";
+import { isRetryableStatus } from "../providers/http.js";
+import { processImagesSynchronously } from "./syncApi.js";
+import {
+  addBatch,
+  createRunManifest,
+  getManifestLayout,
+  getRunManifestPath,
+  isRunFinished,
+  loadRunManifest,
+  saveRunManifest,
+} from "../utils/runManifest.js";
+import { logger } from "../utils/logger.js";
+
+// The Batch API takes input files of up to 200 MB; leave some room
+const MAX_BATCH_FILE_BYTES = 180 * 1024 * 1024;
+
+// Most requests the Batch API takes in a single batch
+export const MAX_BATCH_REQUESTS = 50000;
+
+// Statuses after which a batch no longer changes
+const FINAL_BATCH_STATUSES = ["completed", "failed", "expired", "cancelled"];
+
+// Statuses of batches that stopped early but may have finished some requests
+const PARTIAL_BATCH_STATUSES = ["expired", "cancelled"];
+
+// Error codes of the requests a batch never got to before it expired or was cancelled
+const UNFINISHED_ERROR_CODES = ["batch_expired", "batch_cancelled"];
+
+// How often the same requests are sent again after their batch ran out of time
+const MAX_RESUBMISSIONS = 3;
+
+// Batches written without their run's settings send no image twice
+const SINGLE_ATTEMPT = {
+  policies: DEFAULT_RESPONSE_POLICIES,
+  alternatePrompt: DEFAULT_ALTERNATE_PROMPT,
+  maxAttempts: 1,
+};
 
 /**
- * Creates a batch input file for OpenAI's Batch API
- * @param {string} apiKey - OpenAI API key
- * @param {string[]} imagePaths - Array of paths to images
- * @param {string} prompt - The prompt to use for captioning
- * @param {string} modelId - The model ID to use
- * @param {string} fidelity - The fidelity level (low, high, auto)
- * @param {string} outputPath - Path to save the batch input file
- * @returns {Promise<string>} - The file ID of the uploaded batch input file
+ * Writes the batch input files for a set of requests, starting a new shard
+ * whenever the next line would break one of the limits. Sizes are measured
+ * on the serialized JSONL lines, so they are exact rather than estimated
+ * from the image files.
+ *
+ * @param {Object} provider - The provider to send the batches through
+ * @param {Object} requests - Path of each image to send, by custom_id
+ * @param {Function} getRequestSettings - Called with a custom_id and returns its request settings, as taken by buildCaptionRequest
+ * @param {Object} settings
+ * @param {string} settings.outputFolder - Folder the input files are written to
+ * @param {string} settings.name - Start of the input file names, which end in the shard number
+ * @param {number} [settings.maxRequests=MAX_BATCH_REQUESTS] - Most requests in one shard
+ * @param {number} [settings.maxTokens] - Most estimated input tokens in one shard, if capped
+ * @param {Function} [settings.toLine] - Turns a custom_id and request body into a line, instead of provider.toBatchLine
+ * @returns {Promise<{shards: Object[], skipped: Object[]}>} - The requests, input file path, size and
+ *   estimated tokens of every shard, and the custom_id and error of every image that could not be added
  */
-export async function createBatchInputFile(
-  apiKey,
-  imagePaths,
-  prompt,
-  modelId,
-  fidelity,
-  outputPath
+export async function writeBatchShards(
+  provider,
+  requests,
+  getRequestSettings,
+  { outputFolder, name, maxRequests = MAX_BATCH_REQUESTS, maxTokens, toLine }
 ) {
-  // Create a write stream to the output file
-  const writeStream = createWriteStream(outputPath);
-  
-  // Write each request to the file
-  for (let i = 0; i < imagePaths.length; i++) {
-    const imagePath = imagePaths[i];
-    const fileName = path.basename(imagePath);
-    const base64Image = encodeImage(imagePath);
-    
-    if (!base64Image) {
-      console.error(`Failed to encode image: ${imagePath}`);
+  const shards = [];
+  const skipped = [];
+  let shard = null;
+
+  for (const [customId, imagePath] of Object.entries(requests)) {
+    const requestSettings = getRequestSettings(customId);
+    let line;
+    try {
+      const body = await buildCaptionRequest(provider, imagePath, requestSettings);
+      line = JSON.stringify(toLine ? toLine(customId, body) : provider.toBatchLine(customId, body)) + "\n";
+    } catch (error) {
+      logger.error(`Skipping image: ${error.message}`);
+      skipped.push({ customId, error });
       continue;
     }
-    
-    const request = {
-      custom_id: fileName,
-      method: "POST",
-      url: "/v1/chat/completions",
-      body: {
-        model: modelId,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: prompt,
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Image}`,
-                  detail: fidelity,
-                },
-              },
-            ],
-          },
-        ],
-        max_tokens: 512,
-      },
-    };
-    
-    writeStream.write(JSON.stringify(request) + "\n");
+    const bytes = Buffer.byteLength(line);
+    if (bytes > MAX_BATCH_FILE_BYTES) {
+      logger.error(`Skipping image: the request for ${customId} is larger than a batch input file may be.`);
+      skipped.push({ customId, error: new Error("The request is larger than a batch input file may be.") });
+      continue;
+    }
+    const tokens = estimateInputTokens(
+      provider,
+      imagePath,
+      requestSettings.prompt,
+      requestSettings.modelId,
+      requestSettings.fidelity,
+      requestSettings.preprocessing && requestSettings.preprocessing.maxEdge,
+      requestSettings.context
+    );
+
+    const full =
+      shard &&
+      (shard.requestCount >= maxRequests ||
+        shard.bytes + bytes > MAX_BATCH_FILE_BYTES ||
+        (maxTokens && shard.estimatedTokens + tokens > maxTokens));
+    if (!shard || full) {
+      if (shard) {
+        await closeStream(shard.stream);
+      }
+      const inputPath = path.join(outputFolder, `${name}_${shards.length + 1}.jsonl`);
+      shard = {
+        inputPath,
+        stream: createWriteStream(inputPath),
+        requests: {},
+        requestCount: 0,
+        bytes: 0,
+        estimatedTokens: 0,
+      };
+      shards.push(shard);
+    }
+
+    // Wait for the file to catch up instead of buffering every image in memory
+    if (!shard.stream.write(line)) {
+      await once(shard.stream, "drain");
+    }
+    shard.requests[customId] = imagePath;
+    shard.requestCount++;
+    shard.bytes += bytes;
+    shard.estimatedTokens += tokens;
   }
-  
-  // Close the write stream
-  writeStream.end();
-  
-  // Wait for the write stream to finish
-  await new Promise((resolve) => writeStream.on("finish", resolve));
-  
-  // Upload the file to OpenAI
-  return await uploadBatchFile(apiKey, outputPath);
+  if (shard) {
+    await closeStream(shard.stream);
+  }
+
+  return {
+    shards: shards.map(({ requests: shardRequests, inputPath, bytes, estimatedTokens }) => ({
+      requests: shardRequests,
+      inputPath,
+      bytes,
+      estimatedTokens,
+    })),
+    skipped,
+  };
 }
 
-/**
- * Uploads a batch input file to OpenAI
- * @param {string} apiKey - OpenAI API key
- * @param {string} filePath - Path to the batch input file
- * @returns {Promise<string>} - The file ID of the uploaded file
- */
-async function uploadBatchFile(apiKey, filePath) {
-  const formData = new FormData();
-  formData.append("file", fs.createReadStream(filePath));
-  formData.append("purpose", "batch");
-  
-  const response = await fetch("https://api.openai.com/v1/files", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      ...formData.getHeaders(),
-    },
-    body: formData,
-  });
-  
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Failed to upload batch file: ${response.statusText}. Details: ${JSON.stringify(errorData)}`);
-  }
-  
-  const data = await response.json();
-  return data.id;
+async function closeStream(stream) {
+  stream.end();
+  await once(stream, "finish");
 }
 
 /**
  * Creates a batch job using the uploaded file
- * @param {string} apiKey - OpenAI API key
+ * @param {Object} provider - The provider to send the batch through
  * @param {string} fileId - The file ID of the uploaded batch input file
  * @returns {Promise<string>} - The batch ID
  */
-export async function createBatch(apiKey, fileId) {
-  const response = await fetch("https://api.openai.com/v1/batches", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      input_file_id: fileId,
-      endpoint: "/v1/chat/completions",
-      completion_window: "24h",
-    }),
-  });
-  
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Failed to create batch: ${response.statusText}. Details: ${JSON.stringify(errorData)}`);
-  }
-  
-  const data = await response.json();
-  return data.id;
+export async function createBatch(provider, fileId) {
+  return await provider.createBatch(fileId);
 }
 
 /**
  * Checks the status of a batch job
- * @param {string} apiKey - OpenAI API key
+ * @param {Object} provider - The provider the batch was sent through
  * @param {string} batchId - The batch ID
  * @returns {Promise<Object>} - The batch status
  */
-export async function checkBatchStatus(apiKey, batchId) {
-  const response = await fetch(`https://api.openai.com/v1/batches/${batchId}`, {
-    method: "GET",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-  });
-  
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Failed to check batch status: ${response.statusText}. Details: ${JSON.stringify(errorData)}`);
-  }
-  
-  return await response.json();
+export async function checkBatchStatus(provider, batchId) {
+  return await provider.getBatch(batchId);
 }
 
 /**
- * Downloads the results of a completed batch job
- * @param {string} apiKey - OpenAI API key
- * @param {string} fileId - The file ID of the batch output file
- * @returns {Promise<Array>} - The batch results
+ * Downloads the output or error file of a batch job
+ * @param {Object} provider - The provider the batch was sent through
+ * @param {string} fileId - The file ID of the batch output or error file
+ * @returns {Promise<Array>} - The batch results, normalized by the provider
  */
-export async function downloadBatchResults(apiKey, fileId) {
-  const response = await fetch(`https://api.openai.com/v1/files/${fileId}/content`, {
-    method: "GET",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-    },
-  });
-  
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Failed to download batch results: ${response.statusText}. Details: ${JSON.stringify(errorData)}`);
-  }
-  
-  const text = await response.text();
-  return text.split("\n").filter(Boolean).map(JSON.parse);
+export async function downloadBatchResults(provider, fileId) {
+  const text = await provider.downloadFile(fileId);
+  return parseJsonLines(text).map((line) => provider.parseBatchResult(line));
 }
 
 /**
  * Downloads the error file of a failed batch job
- * @param {string} apiKey - OpenAI API key
+ * @param {Object} provider - The provider the batch was sent through
  * @param {string} fileId - The file ID of the batch error file
  * @returns {Promise<Array>} - The batch errors
  */
-export async function downloadBatchErrors(apiKey, fileId) {
+export async function downloadBatchErrors(provider, fileId) {
   if (!fileId) {
     return [];
   }
   
-  const response = await fetch(`https://api.openai.com/v1/files/${fileId}/content`, {
-    method: "GET",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-    },
-  });
-  
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`Failed to download batch errors: ${response.statusText}. Details: ${JSON.stringify(errorData)}`);
-  }
-  
-  const text = await response.text();
+  const text = await provider.downloadFile(fileId);
+  return parseJsonLines(text);
+}
+
+function parseJsonLines(text) {
   return text.split("\n").filter(Boolean).map(JSON.parse);
 }
 
 /**
- * Processes a batch of images using OpenAI's Batch API
- * @param {string} apiKey - OpenAI API key
+ * Processes a batch of images using the provider's Batch API
+ *
+ * Every uploaded file, batch ID and status is recorded in a run manifest in
+ * the output folder, so an interrupted run can be picked up again with
+ * resumeBatchImages.
+ *
+ * @param {Object} provider - The provider to send the batch through
  * @param {string[]} imagePaths - Array of paths to images
- * @param {string} prompt - The prompt to use for captioning
- * @param {string} modelId - The model ID to use
- * @param {string} fidelity - The fidelity level (low, high, auto)
- * @param {string} outputFolderPath - Path to save the output files
- * @param {string} fileExt - The file extension to use for output files
+ * @param {Map<string, string>} prompts - The prompt of each image
+ * @param {Object} requestSettings - What to ask for besides the prompt, as taken by buildCaptionRequest
+ * @param {Object} layout - Where captions are written, as taken by getCaptionPath
+ * @param {Object} cache - The caption cache; cached images are written without being sent
+ * @param {Object} postProcessing - Post-processing settings, as taken by createPostProcessor
+ * @param {Object} exportSettings - Caption file and export settings, as taken by createCaptionWriter
+ * @param {Object} responseHandling - Attempts per image and the policies for unusable replies
+ * @param {Object} batchLimits - Most requests (`maxRequests`) and estimated input tokens (`maxTokens`) per batch
+ * @param {Object} resubmission - How requests left unfinished by an expired or cancelled batch are sent
+ *   again: `mode` ("batch", "sync" or "none") and, for "sync", the concurrency and rate limit settings
+ * @param {Object} [options]
+ * @param {EventEmitter} [options.events] - Where "result", "retry" and "batchStatus" events are emitted
+ * @param {Object} [options.tracker] - The usage tracker, from createUsageTracker. Batches whose projected
+ *   cost would take the run over the tracker's budget are not submitted.
  * @returns {Promise<void>}
  */
 export async function processBatchImages(
-  apiKey,
+  provider,
   imagePaths,
-  prompt,
-  modelId,
-  fidelity,
-  outputFolderPath,
-  fileExt
+  prompts,
+  requestSettings,
+  layout,
+  cache,
+  postProcessing,
+  exportSettings,
+  responseHandling,
+  batchLimits,
+  resubmission,
+  { events = new EventEmitter(), tracker = null } = {}
 ) {
-  // Calculate file sizes and estimate batch sizes
-  const MAX_BATCH_SIZE_BYTES = 180 * 1024 * 1024; // 180MB (leaving some buffer below the 200MB limit)
-  const batches = [];
-  let currentBatch = [];
-  let currentBatchSize = 0;
-  
-  // First pass: estimate sizes and create batches
+  assertSupportsBatch(provider);
+  const outputFolderPath = layout.outputFolder;
+  const postProcess = createPostProcessor(postProcessing);
+  const writer = createCaptionWriter({
+    layout,
+    ...exportSettings,
+    modelId: requestSettings.modelId,
+  });
+  const failures = createFailureLog(outputFolderPath);
+  const existingManifest = loadRunManifest(outputFolderPath);
+  if (existingManifest && !isRunFinished(existingManifest)) {
+    throw new Error(
+      `An unfinished batch run was found in ${getRunManifestPath(outputFolderPath)}. ` +
+        "Run again with --resume to re-attach to it, or delete the file to start a new run."
+    );
+  }
+
+  // Write cached captions straight away and only send the rest
+  const uncachedPaths = [];
+  const cacheKeys = {};
+  const requestPrompts = {};
   for (const imagePath of imagePaths) {
-    const stats = fs.statSync(imagePath);
-    const fileSize = stats.size;
-    
-    // Estimate the size after base64 encoding (adds ~33% overhead)
-    const estimatedEncodedSize = fileSize * 1.33;
-    
-    // If adding this image would exceed the limit, start a new batch
-    if (currentBatchSize + estimatedEncodedSize > MAX_BATCH_SIZE_BYTES && currentBatch.length > 0) {
-      batches.push([...currentBatch]);
-      currentBatch = [imagePath];
-      currentBatchSize = estimatedEncodedSize;
+    const prompt = prompts.get(imagePath);
+    const cacheKey = cache.keyFor(imagePath, { prompt });
+    const cachedCaption = cache.get(cacheKey);
+    const customId = getRelativeImagePath(layout.imagesFolder, imagePath);
+    if (cachedCaption !== null) {
+      const caption = postProcess(cachedCaption, customId);
+      writer.write(imagePath, caption, prompt);
+      failures.clear(customId);
+      events.emit("result", {
+        image: imagePath,
+        file: customId,
+        status: "cached",
+        caption,
+        attempts: 0,
+        durationMs: null,
+        usage: null,
+        mode: "batch",
+      });
+      continue;
+    }
+    cacheKeys[customId] = cacheKey;
+    requestPrompts[customId] = prompt;
+    uncachedPaths.push(imagePath);
+  }
+  writer.flush();
+  logger.log(
+    `${imagePaths.length - uncachedPaths.length} captions reused from the cache, ` +
+      `${uncachedPaths.length} images to send to the Batch API.`
+  );
+  if (uncachedPaths.length === 0) {
+    logger.log("Every caption was found in the cache. Nothing to submit.");
+    return;
+  }
+
+  // The images are split into batches once their requests are written
+  const manifest = createRunManifest(
+    {
+      provider: provider.name,
+      ...requestSettings,
+      prompts: requestPrompts,
+      fileExt: layout.fileExt,
+      imagesFolder: layout.imagesFolder,
+      outputLayout: layout.outputLayout,
+      postProcessing,
+      exports: exportSettings,
+      cacheKeys,
+      responseHandling,
+      batchLimits,
+      resubmission,
+    },
+    [uncachedPaths]
+  );
+  saveRunManifest(outputFolderPath, manifest);
+  logger.log(`Run manifest saved to ${getRunManifestPath(outputFolderPath)}`);
+
+  await runBatchManifest(provider, manifest, outputFolderPath, cache, { events, tracker });
+}
+
+/**
+ * Re-attaches to the batch run recorded in an output folder.
+ *
+ * Batches that were already submitted are not submitted again: polling
+ * resumes where it left off and any finished results are downloaded.
+ *
+ * @param {Object} provider - The provider to send the batch through
+ * @param {string} outputFolderPath - The output folder of the run
+ * @param {Object} cache - The caption cache to store new captions in
+ * @param {Object} [options]
+ * @param {EventEmitter} [options.events] - Where "result", "retry" and "batchStatus" events are emitted
+ * @param {Object} [options.tracker] - The usage tracker, from createUsageTracker, that holds the budget
+ * @returns {Promise<void>}
+ */
+export async function resumeBatchImages(
+  provider,
+  outputFolderPath,
+  cache,
+  { events = new EventEmitter(), tracker = null } = {}
+) {
+  const manifest = loadRunManifest(outputFolderPath);
+  if (!manifest) {
+    throw new Error(
+      `No batch run to resume: ${getRunManifestPath(outputFolderPath)} does not exist.`
+    );
+  }
+  if (isRunFinished(manifest)) {
+    logger.log("Every batch of this run has already been processed.");
+    return;
+  }
+  // Runs from before providers were configurable went through OpenAI
+  const runProvider = manifest.provider || "openai";
+  if (runProvider !== provider.name) {
+    throw new Error(
+      `This run was started with the ${runProvider} provider. Resume it with --provider ${runProvider}.`
+    );
+  }
+  assertSupportsBatch(provider);
+
+  const remaining = manifest.batches.filter((batch) => !batch.resultsWritten);
+  logger.log(
+    `Resuming batch run from ${manifest.createdAt}: ${remaining.length} of ${manifest.batches.length} batches left.`
+  );
+  await runBatchManifest(provider, manifest, outputFolderPath, cache, { events, tracker });
+}
+
+/**
+ * Lists the most recent batches of the account, newest first.
+ *
+ * @param {Object} provider - The provider the batches were sent through
+ * @param {number} limit - The most batches to list
+ * @returns {Promise<Object[]>} - The batches, as returned by the provider
+ */
+export async function listBatches(provider, limit) {
+  assertSupportsBatch(provider);
+  return await provider.listBatches(limit);
+}
+
+/**
+ * Looks up a batch, together with its entry in the run manifest of the output
+ * folder if it belongs to that run.
+ *
+ * @param {Object} provider - The provider the batch was sent through
+ * @param {string} batchId - The batch ID
+ * @param {string} outputFolderPath - The output folder of the run
+ * @returns {Promise<{status: Object, entry: Object|null}>} - The batch, as returned by the provider, and its run entry
+ */
+export async function inspectBatch(provider, batchId, outputFolderPath) {
+  assertSupportsBatch(provider);
+  const status = await checkBatchStatus(provider, batchId);
+  return { status, entry: findRunBatch(loadRunManifest(outputFolderPath), batchId) };
+}
+
+/**
+ * Cancels a running batch. The run manifest of the output folder is updated
+ * if the batch belongs to its run.
+ *
+ * @param {Object} provider - The provider the batch was sent through
+ * @param {string} batchId - The batch ID
+ * @param {string} outputFolderPath - The output folder of the run
+ * @returns {Promise<Object>} - The batch, as returned by the provider
+ */
+export async function cancelBatch(provider, batchId, outputFolderPath) {
+  assertSupportsBatch(provider);
+  const status = await provider.cancelBatch(batchId);
+  const manifest = loadRunManifest(outputFolderPath);
+  const entry = findRunBatch(manifest, batchId);
+  if (entry) {
+    entry.state = status.status;
+    saveRunManifest(outputFolderPath, manifest);
+  }
+  return status;
+}
+
+/**
+ * Downloads a completed batch by its ID and writes its captions.
+ *
+ * A batch of the run in the output folder is written with the settings of
+ * that run, and unusable replies are queued again as they would be in the run.
+ * Only the given batch is run, so they are sent by the next --resume.
+ * An expired or cancelled batch is written as far as it got; in a run, the
+ * requests it never got to are sent again as the run was set up to.
+ * Any other batch is written with the given settings, taking its custom_ids as
+ * image paths relative to the images folder.
+ *
+ * @param {Object} provider - The provider the batch was sent through
+ * @param {string} batchId - The batch ID
+ * @param {string} outputFolderPath - The output folder of the run
+ * @param {Object} cache - The caption cache to store new captions in
+ * @param {Object} settings - How to write the captions of a batch from outside the run
+ * @param {Object} settings.layout - Where captions are written, as taken by getCaptionPath
+ * @param {Object} settings.postProcessing - Post-processing settings, as taken by createPostProcessor
+ * @param {Object} settings.exportSettings - Caption file and export settings, as taken by createCaptionWriter
+ * @returns {Promise<void>}
+ */
+export async function downloadBatch(
+  provider,
+  batchId,
+  outputFolderPath,
+  cache,
+  { layout, postProcessing, exportSettings }
+) {
+  assertSupportsBatch(provider);
+  const status = await checkBatchStatus(provider, batchId);
+  const partial = PARTIAL_BATCH_STATUSES.includes(status.status);
+  if (status.status !== "completed" && !(partial && status.output_file_id)) {
+    throw new Error(
+      `Batch ${batchId} is ${status.status}${partial ? " without an output file" : ""}. ` +
+        "Only completed batches, and expired or cancelled batches that finished some requests, can be downloaded."
+    );
+  }
+
+  const manifest = loadRunManifest(outputFolderPath);
+  const entry = findRunBatch(manifest, batchId);
+  if (entry) {
+    logger.log(
+      `Batch ${batchId} is batch ${entry.index} of the run in ${getRunManifestPath(outputFolderPath)}. ` +
+        "Writing it with the settings of that run."
+    );
+    entry.resultsWritten = false;
+    await runBatchManifest(provider, manifest, outputFolderPath, cache, { batchIds: [batchId] });
+    return;
+  }
+
+  logger.log(`Downloading results of batch ${batchId}...`);
+  const errorResults = status.error_file_id ? await downloadBatchResults(provider, status.error_file_id) : [];
+  // Requests an expired or cancelled batch never got to are left for another run
+  const isUnfinished = ({ error }) => Boolean(error && UNFINISHED_ERROR_CODES.includes(error.code));
+  const unfinishedCount = errorResults.filter(isUnfinished).length;
+  const results = [
+    ...(status.output_file_id ? await downloadBatchResults(provider, status.output_file_id) : []),
+    ...errorResults.filter((result) => !isUnfinished(result)),
+  ];
+  const requests = {};
+  for (const { customId } of results) {
+    const imagePath = path.join(layout.imagesFolder, customId);
+    if (fs.existsSync(imagePath)) {
+      requests[customId] = imagePath;
     } else {
-      currentBatch.push(imagePath);
-      currentBatchSize += estimatedEncodedSize;
+      logger.error(`Skipping ${customId}: ${imagePath} does not exist. Is --images set to the folder the batch was made from?`);
     }
   }
-  
-  // Add the last batch if it has any images
-  if (currentBatch.length > 0) {
-    batches.push(currentBatch);
+  const failures = createFailureLog(outputFolderPath);
+  const writer = createCaptionWriter({ layout, ...exportSettings });
+  const summary = { written: 0, failed: 0 };
+  writeBatchResults(
+    results.filter(({ customId }) => requests[customId]),
+    { index: batchId, batchId, requests },
+    {
+      requestSettingsFor: () => ({}),
+      responseHandling: SINGLE_ATTEMPT,
+      postProcess: createPostProcessor(postProcessing),
+      writer,
+      failures,
+      cache,
+      cacheKeys: {},
+      summary,
+      events: new EventEmitter(),
+    }
+  );
+  writer.flush();
+  logger.log(
+    `${summary.written} captions written, ${summary.failed} failed, ` +
+      `${results.length - Object.keys(requests).length} skipped` +
+      (partial ? `, ${unfinishedCount} never ran before the batch ${status.status}.` : ".")
+  );
+  printFailureHint(failures);
+}
+
+/**
+ * Deletes the input, output and error files of batches from the provider's
+ * file storage once their captions are saved locally. Without batch IDs, every
+ * batch of the run in the output folder whose captions are written is cleaned
+ * up. Batches that are still running, and batches of the run whose captions
+ * are not written yet, are left alone.
+ *
+ * @param {Object} provider - The provider the batches were sent through
+ * @param {string} outputFolderPath - The output folder of the run
+ * @param {string[]} [batchIds=[]] - The batches to clean up
+ * @returns {Promise<number>} - How many files were deleted
+ */
+export async function cleanBatchFiles(provider, outputFolderPath, batchIds = []) {
+  assertSupportsBatch(provider);
+  const manifest = loadRunManifest(outputFolderPath);
+  const ids =
+    batchIds.length > 0
+      ? batchIds
+      : (manifest ? manifest.batches : [])
+          .filter((batch) => batch.batchId && batch.resultsWritten && !batch.filesDeleted)
+          .map((batch) => batch.batchId);
+
+  let deleted = 0;
+  for (const batchId of ids) {
+    const entry = findRunBatch(manifest, batchId);
+    if (entry && !entry.resultsWritten) {
+      logger.error(`Skipping batch ${batchId}: its captions have not been written yet.`);
+      continue;
+    }
+    const status = await checkBatchStatus(provider, batchId);
+    if (!FINAL_BATCH_STATUSES.includes(status.status)) {
+      logger.error(`Skipping batch ${batchId}: it is still ${status.status}.`);
+      continue;
+    }
+    for (const fileId of [status.input_file_id, status.output_file_id, status.error_file_id]) {
+      if (fileId && (await deleteFile(provider, fileId))) {
+        deleted++;
+      }
+    }
+    if (entry) {
+      entry.filesDeleted = true;
+      saveRunManifest(outputFolderPath, manifest);
+    }
+    logger.log(`Deleted the files of batch ${batchId}.`);
   }
-  
-  console.log(`Split ${imagePaths.length} images into ${batches.length} batches based on file sizes`);
-  console.log(`Maximum batch size set to ${MAX_BATCH_SIZE_BYTES / (1024 * 1024)}MB`);
-  
-  // Process each batch
-  for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-    const batchImages = batches[batchIndex];
-    console.log(`Processing batch ${batchIndex + 1}/${batches.length} with ${batchImages.length} images...`);
-    
-    // Create a batch input file for this batch
-    const batchInputPath = path.join(outputFolderPath, `batch_input_${batchIndex + 1}.jsonl`);
-    const fileId = await createBatchInputFile(
-      apiKey,
-      batchImages,
-      prompt,
-      modelId,
-      fidelity,
-      batchInputPath
+  return deleted;
+}
+
+/**
+ * Prints batches as a table with their status and request counts. Batches of
+ * the run in the output folder are marked with their index in the run.
+ *
+ * @param {Object[]} batches - The batches, as returned by the provider
+ * @param {Object|null} manifest - The run manifest of the output folder, if any
+ */
+export function printBatchList(batches, manifest) {
+  if (batches.length === 0) {
+    logger.log("No batches found.");
+    return;
+  }
+  const header = ["Batch ID", "Status", "Created", "Completed", "Failed", "Total", "Run"];
+  const lines = batches.map((batch) => {
+    const counts = batch.request_counts || {};
+    const entry = findRunBatch(manifest, batch.id);
+    return [
+      batch.id,
+      batch.status,
+      formatTimestamp(batch.created_at),
+      String(counts.completed ?? "-"),
+      String(counts.failed ?? "-"),
+      String(counts.total ?? "-"),
+      entry ? `#${entry.index}` : "",
+    ];
+  });
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...lines.map((line) => line[column].length))
+  );
+  // Request counts are right-aligned
+  const formatLine = (line) =>
+    line
+      .map((cell, column) =>
+        column >= 3 && column <= 5 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])
+      )
+      .join("  ")
+      .trimEnd();
+
+  logger.log(formatLine(header));
+  lines.forEach((line) => logger.log(formatLine(line)));
+}
+
+/**
+ * Prints everything known about a batch.
+ *
+ * @param {Object} status - The batch, as returned by the provider
+ * @param {Object|null} entry - Its entry in the run manifest of the output folder, if any
+ */
+export function printBatchDetails(status, entry) {
+  const counts = status.request_counts;
+  const rows = [
+    ["Status", status.status],
+    ["Endpoint", status.endpoint],
+    ["Created", formatTimestamp(status.created_at)],
+    ["In progress", formatTimestamp(status.in_progress_at)],
+    ["Finalizing", formatTimestamp(status.finalizing_at)],
+    ["Completed", formatTimestamp(status.completed_at)],
+    ["Failed", formatTimestamp(status.failed_at)],
+    ["Expired", formatTimestamp(status.expired_at)],
+    ["Cancelling", formatTimestamp(status.cancelling_at)],
+    ["Cancelled", formatTimestamp(status.cancelled_at)],
+    ["Expires", formatTimestamp(status.expires_at)],
+    [
+      "Requests",
+      counts ? `${counts.completed} completed, ${counts.failed} failed, ${counts.total} total` : null,
+    ],
+    ["Input file", status.input_file_id],
+    ["Output file", status.output_file_id],
+    ["Error file", status.error_file_id],
+  ];
+  if (entry) {
+    rows.push(
+      ["Run batch", `#${entry.index}${entry.attempt ? ` (attempt ${entry.attempt})` : ""}`],
+      ["Images", String(Object.keys(entry.requests).length)],
+      ["Captions", entry.resultsWritten ? "written" : "not written yet"],
+      ["Files", entry.filesDeleted ? "deleted" : "kept"]
     );
-    
-    console.log(`Created batch input file for batch ${batchIndex + 1}`);
-    
-    // Create a batch job
-    const batchId = await createBatch(apiKey, fileId);
-    console.log(`Batch ${batchIndex + 1} job created with ID: ${batchId}`);
-    
+  }
+  const shown = rows.filter(([, value]) => value !== null && value !== undefined && value !== "-");
+  const width = Math.max(...shown.map(([label]) => label.length)) + 1;
+
+  logger.log(`Batch ${status.id}`);
+  for (const [label, value] of shown) {
+    logger.log(`  ${`${label}:`.padEnd(width)}  ${value}`);
+  }
+  const errors = (status.errors && status.errors.data) || [];
+  if (errors.length > 0) {
+    logger.log("  Errors:");
+    for (const error of errors) {
+      logger.log(`  - ${error.code}: ${error.message}${error.line ? ` (line ${error.line})` : ""}`);
+    }
+  }
+}
+
+function findRunBatch(manifest, batchId) {
+  return (manifest && manifest.batches.find((batch) => batch.batchId === batchId)) || null;
+}
+
+async function deleteFile(provider, fileId) {
+  try {
+    await provider.deleteFile(fileId);
+    return true;
+  } catch (error) {
+    // Files deleted earlier, or expired by the provider, are already gone
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+function formatTimestamp(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : "-";
+}
+
+function assertSupportsBatch(provider) {
+  if (!provider.supportsBatch) {
+    throw new Error(
+      `The ${provider.name} provider does not support batch processing. Use --no-batch instead.`
+    );
+  }
+}
+
+/**
+ * Takes every batch of a run manifest through sharding, upload, submission,
+ * polling and writing its results, saving the manifest after each step.
+ * Batches are submitted and polled in parallel; batches added along the way,
+ * to send unusable replies again, are run once the current ones are done.
+ * @param {Object} provider - The provider to send the batch through
+ * @param {Object} manifest - The run manifest
+ * @param {string} outputFolderPath - Path to save the output files
+ * @param {Object} cache - The caption cache to store new captions in
+ * @param {Object} [options]
+ * @param {string[]} [options.batchIds] - Only run the batches with these IDs
+ * @param {EventEmitter} [options.events] - Where "result", "retry" and "batchStatus" events are emitted
+ * @param {Object} [options.tracker] - The usage tracker; batches it has no budget for are not submitted
+ * @returns {Promise<void>}
+ */
+async function runBatchManifest(
+  provider,
+  manifest,
+  outputFolderPath,
+  cache,
+  { batchIds, events = new EventEmitter(), tracker = null } = {}
+) {
+  const { modelId, fidelity, responseSchema, preprocessing } = manifest;
+  const baseSettings = {
+    modelId,
+    fidelity,
+    responseSchema,
+    maxTokens: manifest.maxTokens || MAX_TOKENS,
+    preprocessing,
+    // Reference images and examples sent with every request
+    context: manifest.context,
+  };
+  // Runs from before prompt templates sent the same prompt for every image
+  const promptFor = (customId) => (manifest.prompts ? manifest.prompts[customId] : manifest.prompt);
+  // Retry batches send some images with another prompt or token limit
+  const requestSettingsFor = (batch, customId) => ({
+    ...baseSettings,
+    prompt: promptFor(customId),
+    ...(batch.overrides || {})[customId],
+  });
+  // Runs from before response validation never sent an image twice
+  const responseHandling = manifest.responseHandling || SINGLE_ATTEMPT;
+  const batchLimits = manifest.batchLimits || {};
+  // Runs from before partial results were salvaged gave up on unfinished requests
+  const resubmission = manifest.resubmission || { mode: "batch" };
+  const layout = getManifestLayout(manifest, outputFolderPath);
+  // Runs from before post-processing was configurable only escaped captions
+  const postProcess = createPostProcessor(manifest.postProcessing || {});
+  // Runs from before exports existed only wrote caption files
+  const writer = createCaptionWriter({ layout, ...manifest.exports, modelId });
+  const cacheKeys = manifest.cacheKeys || {};
+  const failures = createFailureLog(outputFolderPath);
+  const summary = { written: 0, failed: 0 };
+  const save = () => saveRunManifest(outputFolderPath, manifest);
+  const context = {
+    requestSettingsFor,
+    responseHandling,
+    postProcess,
+    writer,
+    failures,
+    cache,
+    cacheKeys,
+    summary,
+    events,
+  };
+
+  /**
+   * Writes the input files of a batch that has none yet. The batch keeps the
+   * first shard; any further shards become batches of their own.
+   */
+  async function shardBatch(batch) {
+    const { shards, skipped } = await writeBatchShards(
+      provider,
+      batch.requests,
+      (customId) => requestSettingsFor(batch, customId),
+      {
+        outputFolder: outputFolderPath,
+        name: `batch_input_${batch.index}_shard`,
+        maxRequests: batchLimits.maxRequests,
+        maxTokens: batchLimits.maxTokens,
+      }
+    );
+    // Images that could not be sent are not part of any batch
+    for (const { customId, error } of skipped) {
+      recordFailure(context, batch, customId, error, { attempts: batch.attempt || 1 });
+    }
+    if (shards.length === 0) {
+      batch.requests = {};
+      batch.state = "empty";
+      batch.resultsWritten = true;
+      save();
+      return;
+    }
+
+    // Shard files are renamed after the batch they end up in
+    const [first, ...rest] = shards;
+    batch.requests = first.requests;
+    batch.inputPath = getBatchInputPath(outputFolderPath, batch.index);
+    batch.estimatedTokens = first.estimatedTokens;
+    fs.renameSync(first.inputPath, batch.inputPath);
+    for (const shard of rest) {
+      const added = addBatch(manifest, shard.requests, {
+        attempt: batch.attempt,
+        overrides: pickOverrides(batch, shard.requests),
+      });
+      if (batch.resubmitted) {
+        added.resubmitted = batch.resubmitted;
+      }
+      added.inputPath = getBatchInputPath(outputFolderPath, added.index);
+      added.estimatedTokens = shard.estimatedTokens;
+      fs.renameSync(shard.inputPath, added.inputPath);
+    }
+    save();
+    if (shards.length > 1) {
+      logger.log(`Split batch ${batch.index} into ${shards.length} batches.`);
+    }
+  }
+
+  async function runBatch(batch) {
+    const batchIndex = batch.index;
+
+    // Reserved before anything is awaited, so the batches of a round are weighed one after another
+    if (tracker) {
+      const projectedUSD = tracker.project(
+        batch.estimatedTokens || 0,
+        Object.keys(batch.requests).length,
+        true
+      );
+      // A batch that was already submitted is billed whatever the budget says
+      if (!tracker.reserve(`batch ${batchIndex}`, projectedUSD, { force: Boolean(batch.batchId) })) {
+        refuseBatch(batch, projectedUSD);
+        return;
+      }
+    }
+
+    if (!batch.inputFileId) {
+      const imageCount = Object.keys(batch.requests).length;
+      logger.log(`Uploading batch ${batchIndex} with ${imageCount} images...`);
+      batch.inputFileId = await provider.uploadBatchFile(batch.inputPath);
+      batch.state = "uploaded";
+      save();
+      logger.log(`Uploaded batch input file for batch ${batchIndex}`);
+    }
+
+    if (!batch.batchId) {
+      // Create a batch job
+      batch.batchId = await createBatch(provider, batch.inputFileId);
+      batch.state = "validating";
+      save();
+      logger.log(`Batch ${batchIndex} job created with ID: ${batch.batchId}`);
+    } else {
+      logger.log(`Re-attaching to batch ${batchIndex} job with ID: ${batch.batchId}`);
+    }
+
     // Wait for the batch job to complete
-    console.log(`Waiting for batch ${batchIndex + 1} to complete...`);
+    logger.log(`Waiting for batch ${batchIndex} to complete...`);
     let batchStatus;
     do {
-      batchStatus = await checkBatchStatus(apiKey, batchId);
-      console.log(`Batch ${batchIndex + 1} status: ${batchStatus.status}`);
+      batchStatus = await checkBatchStatus(provider, batch.batchId);
+      batch.state = batchStatus.status;
+      batch.outputFileId = batchStatus.output_file_id || null;
+      batch.errorFileId = batchStatus.error_file_id || null;
+      batch.requestCounts = batchStatus.request_counts || null;
+      save();
+      events.emit("batchStatus", {
+        index: batchIndex,
+        batchId: batch.batchId,
+        status: batchStatus.status,
+        requestCounts: batch.requestCounts,
+        requests: Object.keys(batch.requests).length,
+      });
       
-      if (batchStatus.status === "failed") {
-        console.error(`Batch ${batchIndex + 1} failed. Retrieving error details...`);
-        if (batchStatus.error_file_id) {
-          try {
-            const errors = await downloadBatchErrors(apiKey, batchStatus.error_file_id);
-            console.error(`Batch ${batchIndex + 1} errors:`);
-            errors.forEach(error => {
-              console.error(`- ${error.custom_id}: ${error.error.message}`);
-            });
-          } catch (error) {
-            console.error(`Failed to retrieve error details: ${error.message}`);
-          }
-        }
-        throw new Error(`Batch ${batchIndex + 1} failed. Status: ${batchStatus.status}`);
-      }
-      
-      if (batchStatus.status === "expired") {
-        console.error(`Batch ${batchIndex + 1} expired. Retrieving error details...`);
-        if (batchStatus.error_file_id) {
-          try {
-            const errors = await downloadBatchErrors(apiKey, batchStatus.error_file_id);
-            console.error(`Batch ${batchIndex + 1} errors:`);
-            errors.forEach(error => {
-              console.error(`- ${error.custom_id}: ${error.error.message}`);
-            });
-          } catch (error) {
-            console.error(`Failed to retrieve error details: ${error.message}`);
-          }
-        }
-        throw new Error(`Batch ${batchIndex + 1} expired. Status: ${batchStatus.status}`);
+      // Whatever finished is kept and the rest is sent again, without holding up the other batches
+      if (FINAL_BATCH_STATUSES.includes(batchStatus.status) && batchStatus.status !== "completed") {
+        await salvageBatch(batch, batchStatus);
+        return;
       }
-      
+
       if (batchStatus.status === "completed") {
         break;
       }
       
-      // Wait for 30 seconds before checking again
-      await new Promise((resolve) => setTimeout(resolve, 30000));
+      // Wait for 30 seconds before checking again, unless the polls are replayed from a cassette
+      if (!provider.replaying) {
+        await new Promise((resolve) => setTimeout(resolve, 30000));
+      }
     } while (batchStatus.status !== "completed");
     
-    console.log(`Batch ${batchIndex + 1} completed. Downloading results...`);
-    const results = await downloadBatchResults(apiKey, batchStatus.output_file_id);
+    logger.log(`Batch ${batchIndex} completed. Downloading results...`);
+    // Requests that failed inside a completed batch are only in its error file
+    const results = [
+      ...(batchStatus.output_file_id ? await downloadBatchResults(provider, batchStatus.output_file_id) : []),
+      ...(batchStatus.error_file_id ? await downloadBatchResults(provider, batchStatus.error_file_id) : []),
+    ];
     
-    console.log(`Processing results for batch ${batchIndex + 1}...`);
-    for (const result of results) {
-      if (result.error) {
-        console.error(`Error processing ${result.custom_id}: ${result.error.message}`);
-        continue;
+    logger.log(`Processing results for batch ${batchIndex}...`);
+    const { retryRequests, retryOverrides } = writeBatchResults(results, batch, context);
+    releaseBatch(batch);
+    queueRetries(batch, retryRequests, retryOverrides);
+
+    writer.flush();
+    batch.resultsWritten = true;
+    save();
+    logger.log(`Batch ${batchIndex} processing complete.`);
+  }
+
+  function releaseBatch(batch) {
+    if (tracker) {
+      tracker.release(`batch ${batch.index}`);
+    }
+  }
+
+  /**
+   * Marks the images of a batch that the budget cannot cover as failed,
+   * without submitting it. They can be sent later with --retry-failed.
+   */
+  function refuseBatch(batch, projectedUSD) {
+    logger.error(
+      `Not submitting batch ${batch.index}: its projected cost of ${formatUSD(projectedUSD)} ` +
+        `would take the run over its budget of ${formatUSD(tracker.budget)}.`
+    );
+    const error = new BudgetExceededError(tracker.budget);
+    const attempts = (batch.attempt || 1) - 1;
+    const customIds = Object.keys(batch.requests);
+    failures.recordAll(customIds.map((customId) => ({ file: customId, attempts })), error, { mode: "batch" });
+    for (const customId of customIds) {
+      reportFailure(context, batch, customId, error, { attempts });
+    }
+    batch.state = "refused";
+    batch.resultsWritten = true;
+    save();
+  }
+
+  function queueRetries(batch, retryRequests, retryOverrides) {
+    const retryCount = Object.keys(retryRequests).length;
+    if (retryCount > 0) {
+      const retryBatch = addBatch(manifest, retryRequests, {
+        attempt: (batch.attempt || 1) + 1,
+        overrides: retryOverrides,
+      });
+      logger.log(
+        `${retryCount} unusable replies in batch ${batch.index} will be sent again in batch ${retryBatch.index}.`
+      );
+    }
+  }
+
+  /**
+   * Writes whatever finished in a batch that failed, expired or was
+   * cancelled, and sends the requests it never got to again: in a new batch,
+   * or one at a time, as the run was set up to. A batch that failed ran no
+   * request, so those are marked as failed instead of being sent again.
+   */
+  async function salvageBatch(batch, batchStatus) {
+    const batchIndex = batch.index;
+    const { status } = batchStatus;
+    logger.error(`Batch ${batchIndex} ${status}. Salvaging the requests that finished...`);
+    for (const error of (batchStatus.errors && batchStatus.errors.data) || []) {
+      logger.error(`- ${error.code}: ${error.message}`);
+    }
+
+    const results = batchStatus.output_file_id
+      ? await downloadBatchResults(provider, batchStatus.output_file_id)
+      : [];
+    // The error file holds the requests that failed and those the batch never got to
+    const errorResults = batchStatus.error_file_id
+      ? await downloadBatchResults(provider, batchStatus.error_file_id)
+      : [];
+    const finished = [
+      ...results,
+      ...errorResults.filter(({ error }) => !(error && UNFINISHED_ERROR_CODES.includes(error.code))),
+    ].filter(({ customId }) => batch.requests[customId]);
+    const finishedRequests = Object.fromEntries(
+      finished.map(({ customId }) => [customId, batch.requests[customId]])
+    );
+    const unfinished = Object.fromEntries(
+      Object.entries(batch.requests).filter(([customId]) => !finishedRequests[customId])
+    );
+
+    const { retryRequests, retryOverrides } = writeBatchResults(
+      finished,
+      { ...batch, requests: finishedRequests },
+      context
+    );
+    // Requests that never ran were not billed, and are weighed again if they are sent again
+    releaseBatch(batch);
+    queueRetries(batch, retryRequests, retryOverrides);
+    logger.log(
+      `Salvaged ${finished.length} finished requests of batch ${batchIndex}; ` +
+        `${Object.keys(unfinished).length} never ran.`
+    );
+    if (Object.keys(unfinished).length > 0) {
+      await resubmitUnfinished(batch, unfinished, status);
+    }
+
+    writer.flush();
+    batch.resultsWritten = true;
+    save();
+  }
+
+  async function resubmitUnfinished(batch, unfinished, status) {
+    const count = Object.keys(unfinished).length;
+    const resubmitted = batch.resubmitted || 0;
+    const mode = status === "failed" || resubmitted >= MAX_RESUBMISSIONS ? "none" : resubmission.mode;
+
+    if (mode === "batch") {
+      const added = addBatch(manifest, unfinished, {
+        attempt: batch.attempt,
+        overrides: pickOverrides(batch, unfinished),
+      });
+      added.resubmitted = resubmitted + 1;
+      logger.log(`${count} unfinished requests of batch ${batch.index} will be sent again in batch ${added.index}.`);
+      return;
+    }
+
+    if (mode === "sync") {
+      logger.log(`Sending the ${count} unfinished requests of batch ${batch.index} one at a time...`);
+      // Captions are cached under the keys computed when the run started
+      const runCache = {
+        keyFor: (imagePath) => cacheKeys[getRelativeImagePath(layout.imagesFolder, imagePath)] || null,
+        get: (key) => cache.get(key),
+        set: (key, caption, imagePath) => cache.set(key, caption, imagePath),
+      };
+      // Images sent again with another prompt or token limit keep it
+      const imageSettings = Object.entries(unfinished).map(([customId, imagePath]) => [
+        imagePath,
+        requestSettingsFor(batch, customId),
+      ]);
+      const syncSummary = await processImagesSynchronously(
+        provider,
+        Object.values(unfinished),
+        new Map(imageSettings.map(([imagePath, settings]) => [imagePath, settings.prompt])),
+        baseSettings,
+        layout,
+        runCache,
+        postProcess,
+        writer,
+        failures,
+        {
+          concurrency: resubmission.concurrency,
+          requestsPerMinute: resubmission.requestsPerMinute,
+          tokensPerMinute: resubmission.tokensPerMinute,
+          responseHandling,
+          events,
+          tracker,
+          overrides: new Map(imageSettings),
+        }
+      );
+      summary.written += syncSummary.paidRequests + syncSummary.cacheHits;
+      summary.failed += syncSummary.failed;
+      return;
+    }
+
+    for (const customId of Object.keys(unfinished)) {
+      recordFailure(
+        context,
+        batch,
+        customId,
+        { name: "BatchError", message: `Batch ${batch.batchId} ${status} before this image was captioned.` },
+        { attempts: batch.attempt || 1 }
+      );
+    }
+  }
+
+  // Batches added by sharding or to send unusable replies again are picked
+  // up by the next round
+  const isPending = (batch) =>
+    !batch.resultsWritten && (!batchIds || batchIds.includes(batch.batchId));
+  let pending;
+  while ((pending = manifest.batches.filter(isPending)).length > 0) {
+    for (const batch of pending) {
+      if (!batch.inputFileId && !(batch.inputPath && fs.existsSync(batch.inputPath))) {
+        await shardBatch(batch);
       }
-      
-      // Extract just the base name without extension
-      const fullFileName = result.custom_id;
-      const baseFileName = path.parse(fullFileName).name;
-      
-      const message = result.response.body.choices[0].message;
-      const cleanedMessage = cleanMessage(message.content);
-      const fileFullPath = `${outputFolderPath}/${baseFileName}.${fileExt}`;
-      fs.writeFileSync(fileFullPath, cleanedMessage);
-      console.log(`Processed ${baseFileName}`);
     }
-    
-    console.log(`Batch ${batchIndex + 1} processing complete.`);
+    const round = manifest.batches.filter(isPending);
+    logger.log(`Running ${round.length} of ${manifest.batches.length} batches in parallel...`);
+    // Let every batch finish before reporting a failure, so no results are left unwritten
+    const outcomes = await Promise.allSettled(round.map((batch) => runBatch(batch)));
+    const failed = outcomes.find((outcome) => outcome.status === "rejected");
+    if (failed) {
+      throw failed.reason;
+    }
   }
-  
-  console.log("All batches processed successfully.");
+
+  if (!isRunFinished(manifest)) {
+    // Such as the batch an unusable reply of a downloaded batch is queued in
+    const unsubmitted = manifest.batches.filter((batch) => !batch.resultsWritten && !batch.batchId);
+    logger.log(
+      `${summary.written} captions written, ${summary.failed} failed. ` +
+        (unsubmitted.length > 0
+          ? `Batch(es) ${unsubmitted.map((batch) => batch.index).join(", ")} of this run, with images to send again, ` +
+            "are not submitted yet; run again with --resume to send them."
+          : "Other batches of this run are not finished; run again with --resume to finish them.")
+    );
+    printFailureHint(failures);
+    return;
+  }
+  logger.log(
+    `All batches processed successfully. ${summary.written} captions written, ${summary.failed} failed.`
+  );
+  printFailureHint(failures);
 }
 
 /**
- * Escapes parentheses and double quotation marks in a given string by adding a backslash (\) before each of them.
+ * Writes the captions of a downloaded batch and records the images that got
+ * none. Unusable replies that may be sent again under their policy are left
+ * out and returned, to go in a follow-up batch.
  *
- * @param {string} message - The message to be cleaned.
- * @returns {string} - The cleaned message with parentheses and double quotes escaped.
+ * @param {Array} results - The batch results, normalized by the provider
+ * @param {Object} batch - The batch, with the path of each image by custom_id in `requests`
+ * @param {Object} context - What the captions are written with: requestSettingsFor, responseHandling,
+ *   postProcess, writer, failures, cache, cacheKeys, the summary of the run and the emitter for events
+ * @returns {{retryRequests: Object, retryOverrides: Object}} - The images to send again and
+ *   their changed request settings, by custom_id
  */
-function cleanMessage(message) {
-  return message.replace(/([()"])/g, "\\$1");
-}
\ No newline at end of file
+function writeBatchResults(results, batch, context) {
+  const {
+    requestSettingsFor,
+    responseHandling,
+    postProcess,
+    writer,
+    failures,
+    cache,
+    cacheKeys,
+    summary,
+    events,
+  } = context;
+  const attempt = batch.attempt || 1;
+  const unanswered = new Set(Object.keys(batch.requests));
+  const retryRequests = {};
+  const retryOverrides = {};
+  for (const result of results) {
+    unanswered.delete(result.customId);
+
+    // The custom_id is the image path relative to the images folder
+    const imagePath = batch.requests[result.customId];
+    if (!imagePath) {
+      logger.error(`Skipping result for unknown request ${result.customId}`);
+      summary.failed++;
+      continue;
+    }
+
+    const request = requestSettingsFor(batch, result.customId);
+    let caption;
+    try {
+      const responseError = result.error
+        ? new InvalidResponseError("error", result.error.message)
+        : getResponseError(result.completion);
+      if (responseError) {
+        throw responseError;
+      }
+      caption = postProcess(result.completion.text, result.customId);
+    } catch (error) {
+      logger.error(`Error processing ${result.customId}: ${error.message}`);
+      const retryRequest = getBatchRetryRequest(result, error, request, responseHandling);
+      if (retryRequest && attempt < responseHandling.maxAttempts) {
+        retryRequests[result.customId] = imagePath;
+        // Only what differs from the run's settings is kept
+        const override = { ...(batch.overrides || {})[result.customId] };
+        if (retryRequest.prompt !== request.prompt) {
+          override.prompt = retryRequest.prompt;
+        }
+        if (retryRequest.maxTokens !== request.maxTokens) {
+          override.maxTokens = retryRequest.maxTokens;
+        }
+        retryOverrides[result.customId] = override;
+        events.emit("retry", {
+          image: imagePath,
+          file: result.customId,
+          attempt: attempt + 1,
+          error,
+          usage: result.completion ? result.completion.usage : null,
+          mode: "batch",
+        });
+        continue;
+      }
+      recordFailure(context, batch, result.customId, result.error || error, {
+        attempts: attempt,
+        status: result.status,
+        usage: result.completion ? result.completion.usage : null,
+      });
+      continue;
+    }
+    writer.write(imagePath, caption, request.prompt);
+    failures.clear(result.customId);
+    cache.set(cacheKeys[result.customId], result.completion.text, imagePath);
+    summary.written++;
+    events.emit("result", {
+      image: imagePath,
+      file: result.customId,
+      status: "captioned",
+      caption,
+      attempts: attempt,
+      // A batch only times the whole batch, not its requests
+      durationMs: null,
+      usage: result.completion.usage,
+      mode: "batch",
+      batch: batch.index,
+    });
+  }
+  for (const customId of unanswered) {
+    logger.error(`No result for ${customId} in batch ${batch.index}`);
+    recordFailure(
+      context,
+      batch,
+      customId,
+      { name: "MissingResultError", message: `Batch ${batch.batchId} returned no result for this image.` },
+      { attempts: attempt }
+    );
+  }
+
+  return { retryRequests, retryOverrides };
+}
+
+/**
+ * Records an image of a batch that got no caption in the failure log and the
+ * run summary, and reports it as a failed result with the usage of its reply, if it got one.
+ */
+function recordFailure(context, batch, customId, error, { attempts, status = null, usage = null }) {
+  context.failures.record(customId, error, { attempts, status, mode: "batch" });
+  reportFailure(context, batch, customId, error, { attempts, usage });
+}
+
+/**
+ * Counts an image of a batch that got no caption, and was already put in the
+ * failure log, in the run summary and reports it as a failed result.
+ */
+function reportFailure(context, batch, customId, error, { attempts, usage = null }) {
+  context.summary.failed++;
+  context.events.emit("result", {
+    image: batch.requests[customId],
+    file: customId,
+    status: "failed",
+    error,
+    attempts,
+    durationMs: null,
+    usage,
+    mode: "batch",
+    batch: batch.index,
+  });
+}
+
+/**
+ * Decides whether an image of a batch is sent again, the way sync mode
+ * decides it: a request the API rejected by its status, an unusable reply by
+ * its policy, and any other reply that could not be used, such as an invalid
+ * tag list, as it was.
+ */
+function getBatchRetryRequest(result, error, request, responseHandling) {
+  if (result.status >= 400) {
+    return isRetryableStatus(result.status) ? request : null;
+  }
+  if (error instanceof InvalidResponseError) {
+    return getRetryRequest(error, request, responseHandling);
+  }
+  return request;
+}
+
+function pickOverrides(batch, requests) {
+  if (!batch.overrides) {
+    return undefined;
+  }
+  return Object.fromEntries(
+    Object.keys(requests)
+      .filter((customId) => batch.overrides[customId])
+      .map((customId) => [customId, batch.overrides[customId]])
+  );
+}
+
+function getBatchInputPath(outputFolderPath, batchIndex) {
+  return path.join(outputFolderPath, `batch_input_${batchIndex}.jsonl`);
+}
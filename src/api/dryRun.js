@@ -0,0 +1,251 @@
+import fs from "fs";
+import path from "path";
+import { writeBatchShards } from "./batchApi.js";
+import { getCaptionPath, getRelativeImagePath } from "../utils/dataset.js";
+import { formatUSD, tokensToUSD } from "../utils/pricing.js";
+import { getRunManifestPath, isRunFinished, loadRunManifest } from "../utils/runManifest.js";
+import { logger } from "../utils/logger.js";
+
+// Folder in the output folder that a dry run writes its request files and plan to
+export const DRY_RUN_FOLDER = "dry_run";
+
+// Name of the plan report in the dry run folder
+export const PLAN_FILE = "plan.json";
+
+// Names of the request files a dry run writes, one per shard
+const REQUEST_FILE_PATTERN = /^(batch_input|requests)_\d+\.jsonl$/;
+
+/**
+ * Builds every request a run would send, without sending anything. The
+ * images are preprocessed and their prompts rendered as for a real run, and
+ * the requests are written to JSONL files in the dry run folder, split into
+ * shards exactly as the Batch API run would split them (a synchronous run
+ * writes them as `{custom_id, body}` lines). A plan report is written next
+ * to them.
+ *
+ * No caption, run manifest or failures file is written, and the cache is
+ * only read, to tell which images would not be sent at all. The files of an
+ * earlier dry run are replaced; a dry run folder that holds any other file
+ * is left alone and the dry run refused.
+ *
+ * @param {Object} provider - The provider the requests are built for
+ * @param {string[]} imagePaths - Paths to the images
+ * @param {Map<string, string>} prompts - The prompt of each image
+ * @param {Object} requestSettings - What to ask for besides the prompt, as taken by buildCaptionRequest
+ * @param {Object} layout - Where captions are written, as taken by getCaptionPath
+ * @param {Object} cache - The caption cache
+ * @param {Object} settings
+ * @param {boolean} settings.isBatch - Whether the run would use the Batch API
+ * @param {Object} settings.batchLimits - Most requests (`maxRequests`) and estimated input tokens (`maxTokens`) per batch
+ * @param {boolean} settings.captionFiles - Whether a caption file is written for every image
+ * @param {boolean} [settings.overwrite] - Whether existing caption files may be overwritten, if decided
+ * @param {number} settings.expectedOutputTokens - Expected caption length in tokens
+ * @param {number} [settings.budget] - Most the run may spend in USD, if it has a budget
+ * @returns {Promise<Object>} - The plan, as written to the plan report
+ * @throws {Error} - If the dry run folder holds files a dry run did not write.
+ */
+export async function planRun(
+  provider,
+  imagePaths,
+  prompts,
+  requestSettings,
+  layout,
+  cache,
+  { isBatch, batchLimits, captionFiles, overwrite, expectedOutputTokens, budget }
+) {
+  const dryRunFolder = path.join(layout.outputFolder, DRY_RUN_FOLDER);
+  // Request files left by an earlier dry run would be mistaken for this one's
+  clearDryRunFolder(dryRunFolder);
+  fs.mkdirSync(dryRunFolder, { recursive: true });
+
+  const requests = {};
+  const cached = [];
+  for (const imagePath of imagePaths) {
+    const customId = getRelativeImagePath(layout.imagesFolder, imagePath);
+    if (cache.get(cache.keyFor(imagePath, { prompt: prompts.get(imagePath) })) !== null) {
+      cached.push(customId);
+    } else {
+      requests[customId] = imagePath;
+    }
+  }
+
+  const { shards, skipped } = await writeBatchShards(
+    provider,
+    requests,
+    (customId) => ({ ...requestSettings, prompt: prompts.get(requests[customId]) }),
+    isBatch
+      ? {
+          outputFolder: dryRunFolder,
+          name: "batch_input",
+          maxRequests: batchLimits.maxRequests,
+          maxTokens: batchLimits.maxTokens,
+        }
+      : {
+          outputFolder: dryRunFolder,
+          name: "requests",
+          maxRequests: Infinity,
+          toLine: (customId, body) => ({ custom_id: customId, body }),
+        }
+  );
+
+  const plannedShards = shards.map((shard, index) => {
+    const requestCount = Object.keys(shard.requests).length;
+    const outputTokens = requestCount * expectedOutputTokens;
+    return {
+      index: index + 1,
+      file: shard.inputPath,
+      requests: requestCount,
+      bytes: shard.bytes,
+      inputTokens: shard.estimatedTokens,
+      outputTokens,
+      usd: tokensToUSD(requestSettings.modelId, shard.estimatedTokens, outputTokens, isBatch),
+    };
+  });
+  const existingCaptions = captionFiles
+    ? imagePaths
+        .map((imagePath) => getCaptionPath(imagePath, layout))
+        .filter((captionPath) => fs.existsSync(captionPath))
+    : [];
+
+  const warnings = [];
+  if (existingCaptions.length > 0 && overwrite !== true) {
+    warnings.push(
+      overwrite === false
+        ? `${existingCaptions.length} caption file(s) already exist, so the run would abort as overwriting is turned off.`
+        : `${existingCaptions.length} caption file(s) already exist; the run would ask before overwriting them.`
+    );
+  }
+  const manifest = isBatch ? loadRunManifest(layout.outputFolder) : null;
+  if (manifest && !isRunFinished(manifest)) {
+    warnings.push(
+      `An unfinished batch run was found in ${getRunManifestPath(layout.outputFolder)}; ` +
+        "the run would refuse to start until it is resumed or the file is deleted."
+    );
+  }
+
+  const inputTokens = plannedShards.reduce((total, shard) => total + shard.inputTokens, 0);
+  const outputTokens = plannedShards.reduce((total, shard) => total + shard.outputTokens, 0);
+  const usd = tokensToUSD(requestSettings.modelId, inputTokens, outputTokens, isBatch);
+  if (budget && usd !== null && usd > budget) {
+    warnings.push(
+      `The planned cost is over the budget of ${formatUSD(budget)}, so the run would stop sending requests ` +
+        "once it would be exceeded."
+    );
+  }
+  const plan = {
+    createdAt: new Date().toISOString(),
+    provider: provider.name,
+    modelId: requestSettings.modelId,
+    fidelity: requestSettings.fidelity,
+    mode: isBatch ? "batch" : "sync",
+    preprocessing: requestSettings.preprocessing || null,
+    images: imagePaths.length,
+    requests: plannedShards.reduce((total, shard) => total + shard.requests, 0),
+    total: {
+      inputTokens,
+      outputTokens,
+      usd,
+    },
+    shards: plannedShards,
+    cached,
+    skipped: skipped.map(({ customId, error }) => ({ file: customId, error: error.message })),
+    overwritten: overwrite === false ? [] : existingCaptions,
+    budget: budget || null,
+    warnings,
+  };
+  const planPath = path.join(dryRunFolder, PLAN_FILE);
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+
+  printPlan(plan);
+  logger.log(`Dry run: request files and plan written to ${dryRunFolder}. Nothing was sent.`);
+  return plan;
+}
+
+/**
+ * Prints a plan as a table of shards followed by what would be reused,
+ * skipped and overwritten.
+ *
+ * @param {Object} plan - The plan returned by planRun.
+ */
+export function printPlan(plan) {
+  const header = ["File", "Requests", "Size", "Input tokens", "Output tokens", "Cost (USD)"];
+  const lines = [
+    ...plan.shards.map((shard) => [
+      path.basename(shard.file),
+      String(shard.requests),
+      formatBytes(shard.bytes),
+      String(shard.inputTokens),
+      String(shard.outputTokens),
+      formatUSD(shard.usd),
+    ]),
+    [
+      "Total",
+      String(plan.requests),
+      formatBytes(plan.shards.reduce((total, shard) => total + shard.bytes, 0)),
+      String(plan.total.inputTokens),
+      String(plan.total.outputTokens),
+      formatUSD(plan.total.usd),
+    ],
+  ];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...lines.map((line) => line[column].length))
+  );
+  const formatLine = (line) =>
+    line
+      .map((cell, column) =>
+        column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+      )
+      .join("  ");
+
+  logger.log(
+    `Plan for ${plan.images} image(s) with ${plan.modelId}` +
+      (plan.mode === "batch" ? ` in ${plan.shards.length} batch(es):` : ", sent one at a time:")
+  );
+  logger.log(formatLine(header));
+  lines.forEach((line, index) => {
+    if (index === lines.length - 1) {
+      logger.log(widths.map((width) => "-".repeat(width)).join("  "));
+    }
+    logger.log(formatLine(line));
+  });
+
+  if (plan.cached.length > 0) {
+    logger.log(`${plan.cached.length} image(s) would reuse cached captions and are not sent.`);
+  }
+  for (const { file, error } of plan.skipped) {
+    logger.log(`Would skip ${file}: ${error}`);
+  }
+  if (plan.overwritten.length > 0) {
+    logger.log(`${plan.overwritten.length} existing caption file(s) would be overwritten.`);
+  }
+  for (const warning of plan.warnings) {
+    logger.log(`Warning: ${warning}`);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function clearDryRunFolder(dryRunFolder) {
+  if (!fs.existsSync(dryRunFolder)) {
+    return;
+  }
+  const names = fs.readdirSync(dryRunFolder);
+  const others = names.filter((name) => name !== PLAN_FILE && !REQUEST_FILE_PATTERN.test(name));
+  if (others.length > 0) {
+    throw new Error(
+      `${dryRunFolder} holds files a dry run did not write: ${others.join(", ")}. ` +
+        "Move them out of the folder before making a dry run."
+    );
+  }
+  for (const name of names) {
+    fs.rmSync(path.join(dryRunFolder, name));
+  }
+}
@@ -0,0 +1,306 @@
+import { EventEmitter } from "events";
+import { MAX_TOKENS, queryVisionModel } from "./visionApi.js";
+import { ImageDecodeError } from "../utils/imageEncoder.js";
+import { getRelativeImagePath } from "../utils/dataset.js";
+import { estimateInputTokens } from "../utils/costEstimator.js";
+import {
+  createRateLimiter,
+  getBackoffMs,
+  getRetryAfterMs,
+  runWithConcurrency,
+} from "../utils/rateLimiter.js";
+import { printFailureHint } from "../utils/failures.js";
+import {
+  InvalidResponseError,
+  getResponseError,
+  getRetryRequest,
+} from "../utils/responseValidation.js";
+import { BudgetExceededError } from "../utils/usage.js";
+import { ProviderHttpError, isNetworkError, isRetryableStatus } from "../providers/http.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Process images synchronously, several at a time
+ *
+ * Images whose caption is already in the cache are written from it without
+ * a request.
+ *
+ * @param {Map<string, string>} prompts - The prompt of each image.
+ * @param {Object} requestSettings - What to ask for besides the prompt, as taken by buildCaptionRequest.
+ * @param {Object} layout - Where captions are written, as taken by getCaptionPath.
+ * @param {Object} cache - The caption cache.
+ * @param {Function} postProcess - Turns the model's answer into the caption that is written.
+ * @param {Object} writer - The caption writer, from createCaptionWriter.
+ * @param {Object} failures - The failure log, from createFailureLog.
+ * @param {Object} settings - Concurrency, rate limit and retry settings.
+ * @param {number} settings.concurrency - Maximum number of requests in flight.
+ * @param {number} [settings.requestsPerMinute] - Initial request limit, until the provider reports its own.
+ * @param {number} [settings.tokensPerMinute] - Initial token limit, until the provider reports its own.
+ * @param {Object} settings.responseHandling - Attempts per image and the policies for unusable replies.
+ * @param {EventEmitter} [settings.events] - Where "result" and "retry" events are emitted for every image.
+ *   Results carry the time spent on the image, retries included, and the token usage of its last reply;
+ *   retries carry the usage of the reply that is sent again.
+ * @param {Object} [settings.tracker] - The usage tracker, from createUsageTracker. No request is sent
+ *   once its projected cost would take the run over the tracker's budget.
+ * @param {Map<string, Object>} [settings.overrides] - Request settings that differ for some images, such as
+ *   a raised token limit, by image path.
+ * @returns {Promise<{cacheHits: number, paidRequests: number, failed: number}>} - How many images were
+ *   written from the cache, captioned by the API or not captioned.
+ */
+export async function processImagesSynchronously(
+  provider,
+  pathToImagesList,
+  prompts,
+  requestSettings,
+  layout,
+  cache,
+  postProcess,
+  writer,
+  failures,
+  {
+    concurrency,
+    requestsPerMinute,
+    tokensPerMinute,
+    responseHandling,
+    events = new EventEmitter(),
+    tracker = null,
+    overrides = new Map(),
+  }
+) {
+  const limiter = createRateLimiter({ requestsPerMinute, tokensPerMinute });
+  const summary = { cacheHits: 0, paidRequests: 0, failed: 0 };
+  // Once the budget refuses a request no other is sent; the images left are recorded together
+  let budgetError = null;
+  const unsent = [];
+
+  await runWithConcurrency(pathToImagesList, concurrency, async (filePath) => {
+    const fileName = getRelativeImagePath(layout.imagesFolder, filePath);
+    const imageRequest = { ...requestSettings, prompt: prompts.get(filePath), ...overrides.get(filePath) };
+    const cacheKey = cache.keyFor(filePath, { prompt: imageRequest.prompt });
+    const cachedCaption = cache.get(cacheKey);
+    if (cachedCaption !== null) {
+      const caption = postProcess(cachedCaption, fileName);
+      writer.write(filePath, caption, imageRequest.prompt);
+      failures.clear(fileName);
+      summary.cacheHits++;
+      events.emit("result", {
+        image: filePath,
+        file: fileName,
+        status: "cached",
+        caption,
+        attempts: 0,
+        durationMs: null,
+        usage: null,
+        mode: "sync",
+      });
+      return;
+    }
+    if (budgetError) {
+      unsent.push({ filePath, fileName, attempts: 0 });
+      return;
+    }
+
+    const inputTokens = estimateInputTokens(
+      provider,
+      filePath,
+      imageRequest.prompt,
+      imageRequest.modelId,
+      imageRequest.fidelity,
+      imageRequest.preprocessing && imageRequest.preprocessing.maxEdge,
+      imageRequest.context
+    );
+    const startedAt = Date.now();
+    const outcome = await attemptQueryWithRetry(provider, filePath, imageRequest, fileName, {
+      postProcess,
+      writer,
+      failures,
+      responseHandling,
+      limiter,
+      // Providers count the maximum completion length against the token limit up front
+      estimatedTokens: inputTokens + (imageRequest.maxTokens || MAX_TOKENS),
+      projectedUSD: tracker ? tracker.project(inputTokens, 1, false) : 0,
+      tracker,
+      events,
+    });
+    if (outcome.refused) {
+      budgetError = outcome.error;
+      unsent.push({ filePath, fileName, attempts: outcome.attempts });
+      return;
+    }
+    if (outcome.error) {
+      summary.failed++;
+      events.emit("result", {
+        image: filePath,
+        file: fileName,
+        status: "failed",
+        error: outcome.error,
+        attempts: outcome.attempts,
+        durationMs: Date.now() - startedAt,
+        usage: outcome.usage || null,
+        mode: "sync",
+      });
+    } else {
+      cache.set(cacheKey, outcome.text, filePath);
+      summary.paidRequests++;
+      events.emit("result", {
+        image: filePath,
+        file: fileName,
+        status: "captioned",
+        caption: outcome.caption,
+        attempts: outcome.attempts,
+        durationMs: Date.now() - startedAt,
+        usage: outcome.usage,
+        mode: "sync",
+      });
+    }
+    // The result has been counted, so its reservation is no longer needed
+    if (tracker) {
+      tracker.release(fileName);
+    }
+  });
+  if (unsent.length > 0) {
+    logger.error(`Not sending ${unsent.length} image(s): ${budgetError.message}`);
+    failures.recordAll(
+      unsent.map(({ fileName, attempts }) => ({ file: fileName, attempts })),
+      budgetError,
+      { mode: "sync" }
+    );
+    summary.failed += unsent.length;
+    for (const { filePath, fileName, attempts } of unsent) {
+      events.emit("result", {
+        image: filePath,
+        file: fileName,
+        status: "failed",
+        error: budgetError,
+        attempts,
+        durationMs: null,
+        usage: null,
+        mode: "sync",
+      });
+    }
+  }
+  writer.flush();
+  logger.log(
+    `Processing complete. ${summary.paidRequests} captioned by the API, ` +
+      `${summary.cacheHits} reused from the cache, ${summary.failed} failed.`
+  );
+  printFailureHint(failures);
+  return summary;
+}
+
+/**
+ * Queries the model for one image and writes its caption, retrying on failure.
+ * An unusable reply is retried as its response policy says, possibly with
+ * another prompt or a higher token limit. An image that gets no caption is
+ * recorded in the failure log. No attempt is made that the usage tracker's
+ * budget cannot cover; the image is then returned as refused, without being
+ * recorded, so the caller can stop sending images.
+ *
+ * @param {Object} context - The post-processor, writer, failure log, response handling, rate limiter,
+ *   estimated tokens and projected cost of the request, usage tracker and the emitter retries are reported on.
+ * @returns {Promise<{text: string, caption: string, usage: Object, attempts: number}|{error: Error, usage: Object, attempts: number, refused?: boolean}>} -
+ *   The model's answer before and after post-processing with its token usage, or the error and usage of the last attempt.
+ */
+async function attemptQueryWithRetry(provider, filePath, imageRequest, fileName, context, attempt = 1) {
+  const { postProcess, writer, failures, responseHandling, limiter, estimatedTokens, projectedUSD, tracker, events } =
+    context;
+  const retries = responseHandling.maxAttempts;
+  // A reply that could not be used is billed all the same
+  let completion = null;
+  const fail = (error) => {
+    failures.record(fileName, error, { attempts: attempt, mode: "sync" });
+    return { error, usage: completion ? completion.usage : null, attempts: attempt };
+  };
+  if (tracker && !tracker.reserve(fileName, projectedUSD)) {
+    return { error: new BudgetExceededError(tracker.budget), usage: null, attempts: attempt - 1, refused: true };
+  }
+  try {
+    await limiter.acquire(estimatedTokens);
+    completion = await queryVisionModel(provider, filePath, imageRequest);
+    limiter.update(provider.readRateLimits(completion.headers));
+    const responseError = getResponseError(completion);
+    if (responseError) {
+      throw responseError;
+    }
+    const caption = postProcess(completion.text, fileName);
+    writer.write(filePath, caption, imageRequest.prompt);
+    failures.clear(fileName);
+    return { text: completion.text, caption, usage: completion.usage, attempts: attempt };
+  } catch (error) {
+    if (error instanceof ImageDecodeError) {
+      // The file itself is unusable, so retrying would only fail again
+      logger.error(`Skipping ${fileName}: ${error.message}`);
+      return fail(error);
+    }
+    logger.error(
+      `Attempt ${attempt} failed for: ${fileName}\nError: ${error.message}`
+    );
+    if (error.headers) {
+      limiter.update(provider.readRateLimits(error.headers));
+    }
+    let retryRequest = imageRequest;
+    if (error instanceof InvalidResponseError) {
+      retryRequest = getRetryRequest(error, imageRequest, responseHandling);
+      if (retryRequest === null) {
+        logger.log(`Not retrying ${fileName}: the response policy for this reply gives up on it.`);
+        return fail(error);
+      }
+    } else if (!isRetryable(error)) {
+      logger.log(
+        error instanceof ProviderHttpError
+          ? `Not retrying ${fileName}: the request was rejected.`
+          : `Not retrying ${fileName}: the error is not a network failure.`
+      );
+      return fail(error);
+    }
+    if (attempt < retries) {
+      // A Retry-After holds back every worker; otherwise back off exponentially
+      const retryAfterMs = getRetryAfterMs(error.headers);
+      const waitMs = retryAfterMs !== null ? retryAfterMs : getBackoffMs(attempt);
+      logger.log(
+        `Retrying for ${fileName} in ${(waitMs / 1000).toFixed(1)}s... Attempt ${attempt + 1} of ${retries}`
+      );
+      events.emit("retry", {
+        image: filePath,
+        file: fileName,
+        attempt: attempt + 1,
+        error,
+        delayMs: waitMs,
+        usage: completion ? completion.usage : null,
+        mode: "sync",
+      });
+      if (tracker) {
+        tracker.release(fileName);
+      }
+      if (retryAfterMs !== null) {
+        limiter.pause(retryAfterMs);
+      } else {
+        await delay(waitMs);
+      }
+      return await attemptQueryWithRetry(provider, filePath, retryRequest, fileName, context, attempt + 1);
+    } else {
+      logger.log(`All retry attempts failed for: ${fileName}`);
+      return fail(error);
+    }
+  }
+}
+
+/**
+ * Decides whether a failed request is worth sending again. Network failures
+ * are; a request the API rejected is retried only on a status that may pass
+ * the next time, as decided by isRetryableStatus. Any other error, such as a
+ * file that cannot be read, would only happen again.
+ *
+ * @param {Error} error - The error the request failed with.
+ * @returns {boolean} - True if the request should be retried.
+ */
+function isRetryable(error) {
+  if (error instanceof ProviderHttpError) {
+    return isRetryableStatus(error.status);
+  }
+  return isNetworkError(error);
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -1,56 +1,112 @@
 import { encodeImage } from "../utils/imageEncoder.js";
-import fetch from "node-fetch";
+import { getContextParts } from "../utils/captionContext.js";
+import { logger } from "../utils/logger.js";
 
-export async function queryOpenAIWithImage(
-  apiKey,
+// Maximum length of a caption in tokens, unless the request asks for another
+export const MAX_TOKENS = 512;
+
+// The same reference images go with every request, so each is only encoded once
+// per preprocessing setting. Every run loads its own context, so a reference
+// image replaced between runs is read again.
+const encodedContextImages = new WeakMap();
+
+/**
+ * Builds the request body asking a provider to caption a single image.
+ * Shared by synchronous and batch processing so both send the same request.
+ *
+ * @param {Object} provider - The provider the request is for.
+ * @param {string} imagePath - Path to the image.
+ * @param {Object} requestSettings
+ * @param {string} requestSettings.prompt - The prompt to use for captioning.
+ * @param {string} requestSettings.modelId - The model ID to use.
+ * @param {string} requestSettings.fidelity - The fidelity level (low, high, auto).
+ * @param {Object} [requestSettings.responseSchema] - Structured response to request, as { name, schema }.
+ * @param {number} [requestSettings.maxTokens=MAX_TOKENS] - Maximum length of the reply in tokens.
+ * @param {Object} [requestSettings.preprocessing] - How to preprocess the image, as taken by encodeImage.
+ * @param {Object} [requestSettings.context] - Reference images and examples to send before the image,
+ *   as returned by loadCaptionContext. They are preprocessed like the image.
+ * @returns {Promise<Object>} - The request body.
+ */
+export async function buildCaptionRequest(
+  provider,
   imagePath,
-  prompt,
-  modelId,
-  fidelity
+  { prompt, modelId, fidelity, responseSchema, maxTokens = MAX_TOKENS, preprocessing, context }
 ) {
-  // Getting the base64 string of the image
-  const base64Image = encodeImage(imagePath);
-
-  // Request headers
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${apiKey}`,
-  };
-
-  // Request payload
-  const payload = {
-    model: modelId,
-    messages: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text: prompt,
-          },
-          {
-            type: "image_url",
-            image_url: {
-              url: `data:image/jpeg;base64,${base64Image}`,
-              detail: fidelity,
-            },
-          },
-        ],
-      },
-    ],
-    max_tokens: 512,
-  };
+  // Getting the base64 string of the image, converted if the API does not accept its format
+  const image = await encodeImage(imagePath, preprocessing);
+  const contextParts = await Promise.all(
+    getContextParts(context).map(async (part) =>
+      part.type === "image" ? { type: "image", image: await encodeContextImage(context, part.path, preprocessing) } : part
+    )
+  );
+
+  return provider.buildRequestBody({
+    prompt,
+    image,
+    context: contextParts,
+    modelId,
+    fidelity,
+    maxTokens,
+    responseSchema,
+  });
+}
+
+/**
+ * Encodes the reference and example images of a context before anything is
+ * sent, so an image that cannot be sent stops the run instead of failing
+ * every request.
+ *
+ * @param {Object|null} context - The context, as returned by loadCaptionContext.
+ * @param {Object} [preprocessing] - How the images are preprocessed, as taken by encodeImage.
+ * @returns {Promise<void>}
+ * @throws {Error} - If one of the images cannot be read, recognized or converted.
+ */
+export async function prepareContext(context, preprocessing) {
+  for (const part of getContextParts(context)) {
+    if (part.type === "image") {
+      try {
+        await encodeContextImage(context, part.path, preprocessing);
+      } catch (error) {
+        throw new Error(`Reference image ${part.path} cannot be sent: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Asks a vision model to caption a single image.
+ *
+ * @param {Object} provider - The provider to send the request through.
+ * @param {string} imagePath - Path to the image.
+ * @param {Object} requestSettings - As taken by buildCaptionRequest.
+ * @returns {Promise<{text: string, finishReason: string, usage: Object, raw: Object, headers: Headers}>}
+ */
+export async function queryVisionModel(provider, imagePath, requestSettings) {
+  const payload = await buildCaptionRequest(provider, imagePath, requestSettings);
 
   try {
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers,
-      body: JSON.stringify(payload),
-    });
-    const data = await response.json();
-    return data;
+    return await provider.complete(requestSettings.modelId, payload);
   } catch (error) {
-    console.error("Error:", error);
+    logger.error("Error:", error.message);
     throw error;
   }
 }
+
+function encodeContextImage(context, imagePath, preprocessing) {
+  if (!encodedContextImages.has(context)) {
+    encodedContextImages.set(context, new Map());
+  }
+  const encoded = encodedContextImages.get(context);
+  const key = `${imagePath}\n${JSON.stringify(preprocessing || null)}`;
+  if (!encoded.has(key)) {
+    const encoding = encodeImage(imagePath, preprocessing);
+    encoded.set(key, encoding);
+    // An image that could not be encoded is read again by the next request
+    encoding.catch(() => {
+      if (encoded.get(key) === encoding) {
+        encoded.delete(key);
+      }
+    });
+  }
+  return encoded.get(key);
+}
@@ -0,0 +1,725 @@
+import fs from "fs";
+import { readdir } from "fs/promises";
+import { EventEmitter } from "events";
+import { processBatchImages, resumeBatchImages } from "./api/batchApi.js";
+import { processImagesSynchronously } from "./api/syncApi.js";
+import { planRun } from "./api/dryRun.js";
+import { prepareContext } from "./api/visionApi.js";
+import { DEFAULT_MAX_EDGES } from "./utils/imageEncoder.js";
+import {
+  assertUniqueCaptionPaths,
+  discoverImages,
+  getCaptionPath,
+  getRelativeImagePath,
+} from "./utils/dataset.js";
+import { DEFAULT_OPTIONS, validateOptions } from "./utils/config.js";
+import { estimateRunCost, printCostEstimate } from "./utils/costEstimator.js";
+import { formatUSD } from "./utils/pricing.js";
+import { createCaptionCache } from "./utils/captionCache.js";
+import { createPostProcessor } from "./utils/postProcessing.js";
+import { getResponseSchema } from "./utils/tags.js";
+import { createCaptionWriter, readCaptionRecords } from "./utils/exporters.js";
+import { createPromptRenderer } from "./utils/promptTemplate.js";
+import { getContextCacheSettings, loadCaptionContext } from "./utils/captionContext.js";
+import { createFailureLog } from "./utils/failures.js";
+import { createRunLog, getRunLogPath } from "./utils/runLog.js";
+import { createUsageTracker, writeRunSummary } from "./utils/usage.js";
+import { isRunFinished, loadRunManifest } from "./utils/runManifest.js";
+import { DEFAULT_ALTERNATE_PROMPT, DEFAULT_RESPONSE_POLICIES } from "./utils/responseValidation.js";
+import {
+  FOLDER_REFINE_PROMPT_FILE,
+  assertOriginalsKept,
+  buildRefinePrompt,
+  readExistingCaptions,
+} from "./utils/refine.js";
+import { createProvider, providerHasModel } from "./providers/index.js";
+import { logger, runWithLogger } from "./utils/logger.js";
+
+// Answers to the choices the CLI asks about, for library callers that leave them unset
+const DEFAULT_CHOICES = {
+  ext: () => "txt",
+  fidelity: () => "low",
+  batch: () => false,
+  // Existing captions are kept unless `overwrite` is set
+  overwrite: () => false,
+  // The estimated cost is only accepted with `yes: true` or a `choose` hook that accepts it
+  yes: () => false,
+};
+
+/**
+ * Creates a captioner for a set of options. The options are those of the
+ * config file, with the CLI-only ones (resume, exportOnly, retryFailed,
+ * dryRun, limit) added, and anything left out takes its default.
+ *
+ * The captioner is an EventEmitter that emits, while it runs:
+ * - "start" with {total, mode, provider, modelId} once the images to caption are known.
+ * - "progress" with {total, done, captioned, cached, failed, retries} after every result,
+ *   and with a `batch` field ({index, batchId, status, requestCounts, requests}) on every batch poll.
+ * - "retry" with {image, file, attempt, error, delayMs, mode} when a request is sent again.
+ * - "result" with {image, file, status, caption, error, attempts, durationMs, usage, mode} for every image.
+ * - "error" with the same payload as "result" for every image that failed, if anything listens to it.
+ * - "summary" with {usage, path} once the token usage and cost of a run that sent requests is written.
+ * - "runLog" with {path} once the run log is complete.
+ *
+ * @param {Object} [options] - The captioning options.
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.choose] - Called with (name, details) for a choice that has no value: "ext",
+ *   "overwrite" ({existingCount, fileExt}), "fidelity", "batch" or "yes" ({estimate}). May return a promise,
+ *   and undefined leaves the choice to its default.
+ * @param {Object} [hooks.logger] - Where the messages of the run are printed, shaped like the console
+ *   (log, info, warn and error). Defaults to the console.
+ * @returns {EventEmitter} - The captioner, with the resolved `options` and a `run()` method.
+ * @throws {Error} - If an option is unknown or has a value of the wrong type.
+ */
+export function createCaptioner(options = {}, { choose, logger: runLogger } = {}) {
+  validateOptions(withoutUndefined(options), "createCaptioner options");
+  const captioner = new EventEmitter();
+  const resolvedOptions = { ...DEFAULT_OPTIONS, ...withoutUndefined(options) };
+  const results = new Map();
+  const progress = { total: 0, done: 0, captioned: 0, cached: 0, failed: 0, retries: 0 };
+
+  captioner.on("start", ({ total }) => {
+    progress.total = total;
+  });
+  captioner.on("retry", () => {
+    progress.retries++;
+  });
+  captioner.on("result", (result) => {
+    // A batch image retried synchronously reports again; only its last result counts
+    const previous = results.get(result.file);
+    if (previous) {
+      progress[previous.status]--;
+    } else {
+      progress.done++;
+    }
+    results.set(result.file, result);
+    progress[result.status]++;
+    captioner.emit("progress", { ...progress });
+    if (result.status === "failed" && captioner.listenerCount("error") > 0) {
+      captioner.emit("error", result);
+    }
+  });
+  captioner.on("batchStatus", (batch) => {
+    captioner.emit("progress", { ...progress, batch });
+  });
+
+  async function resolve(name, value, details) {
+    if (value !== undefined) {
+      return value;
+    }
+    const chosen = choose ? await choose(name, details) : undefined;
+    return chosen !== undefined ? chosen : DEFAULT_CHOICES[name](details, resolvedOptions);
+  }
+
+  captioner.options = resolvedOptions;
+
+  /**
+   * Captions the images.
+   *
+   * @returns {Promise<Object>} - {aborted, plan, results, captioned, cached, failed, retries, usage, logFile},
+   *   where `results` holds the last "result" payload of every image, `plan` is set by a dry run, `usage`
+   *   is the token usage and cost of the run, as written to the run summary, and `logFile` is the run log,
+   *   if one was written.
+   */
+  captioner.run = async function run() {
+    return runLogger ? await runWithLogger(runLogger, runCaptioner) : await runCaptioner();
+  };
+
+  async function runCaptioner() {
+    const startedAt = new Date();
+    // Dry runs and export-only runs send nothing worth logging
+    const runLog =
+      resolvedOptions.log && !resolvedOptions.dryRun && !resolvedOptions.exportOnly
+        ? createRunLog(captioner, resolvedOptions.logFile || getRunLogPath(resolvedOptions.output, startedAt))
+        : null;
+
+    let outcome;
+    try {
+      outcome = await runPipeline(resolvedOptions, resolve, captioner);
+    } catch (error) {
+      if (runLog) {
+        runLog.end({ durationMs: Date.now() - startedAt, error });
+      }
+      throw error;
+    }
+    const { aborted, plan, usage = null } = outcome;
+    const { captioned, cached, failed, retries } = progress;
+    if (runLog) {
+      runLog.end({
+        aborted,
+        durationMs: Date.now() - startedAt,
+        captioned,
+        cached,
+        failed,
+        retries,
+        usage: usage && usage.total,
+      });
+      captioner.emit("runLog", { path: runLog.path });
+    }
+    return {
+      aborted,
+      plan,
+      results: [...results.values()],
+      captioned,
+      cached,
+      failed,
+      retries,
+      usage,
+      logFile: runLog ? runLog.path : null,
+    };
+  }
+
+  return captioner;
+}
+
+/**
+ * Captions images with the given options and resolves once they are all
+ * done. Use createCaptioner to listen to the run's events.
+ *
+ * @param {Object} [options] - The captioning options, as taken by createCaptioner.
+ * @param {Object} [hooks] - As taken by createCaptioner.
+ * @returns {Promise<Object>} - The outcome of the run, as returned by the captioner's run().
+ */
+export async function captionImages(options, hooks) {
+  return await createCaptioner(options, hooks).run();
+}
+
+/**
+ * Runs the whole captioning pipeline for a set of resolved options: finds the
+ * images, renders their prompts, estimates the cost and captions them
+ * synchronously or through the Batch API.
+ *
+ * @param {Object} options - The resolved options.
+ * @param {Function} choose - Called with (name, value, details) for the choices the CLI would ask about.
+ * @param {EventEmitter} events - Where the progress of the run is emitted.
+ * @returns {Promise<{aborted: boolean, plan?: Object, usage?: Object}>} - Whether the run was called off
+ *   before anything was sent, for a dry run its plan, and for a run that sent requests their usage.
+ */
+async function runPipeline(options, choose, events) {
+  const imagesFolderPath = options.images;
+  const outputFolderPath = options.output;
+
+  if (options.exportOnly) {
+    // Exports are rebuilt from captions on disk, so no provider is needed
+    await regenerateExports(options, choose);
+    return { aborted: false };
+  }
+
+  if (options.dryRun && options.resume) {
+    throw new Error("--dry-run cannot be combined with --resume: the batches of the run were already sent.");
+  }
+
+  // Fails if the provider's API key environment variable is not set, unless nothing is to be sent
+  const provider = createProvider(options);
+  const modelWithVision = options.model || provider.defaultModel;
+  if (!modelWithVision) {
+    throw new Error(
+      `The ${provider.name} provider has no default model. Please pass --model or set it in a config profile.`
+    );
+  }
+
+  if (options.resume) {
+    // The run manifest holds everything needed to pick the run back up
+    // Cache keys were stored with the run, so no settings are needed to compute them
+    const cache = createCaptionCache({
+      dir: options.cacheDir,
+      enabled: options.cache,
+      settings: {},
+    });
+    const manifest = loadRunManifest(outputFolderPath);
+    events.emit("start", {
+      total: manifest
+        ? manifest.batches
+            .filter((batch) => !batch.resultsWritten)
+            .reduce((total, batch) => total + Object.keys(batch.requests).length, 0)
+        : 0,
+      mode: "batch",
+      provider: provider.name,
+      modelId: manifest ? manifest.modelId : modelWithVision,
+    });
+    // Spending is tracked with the settings the run was started with
+    const tracker =
+      manifest && !isRunFinished(manifest)
+        ? createUsageTracker(events, {
+            provider,
+            modelId: manifest.modelId,
+            fidelity: manifest.fidelity,
+            maxEdge: manifest.preprocessing && manifest.preprocessing.maxEdge,
+            context: manifest.context,
+            expectedOutputTokens: options.expectedOutputTokens,
+            budget: options.budget ?? null,
+          })
+        : null;
+    await resumeBatchImages(provider, outputFolderPath, cache, { events, tracker });
+    return { aborted: false, usage: tracker ? reportUsage(tracker, outputFolderPath, events) : undefined };
+  }
+
+  // Check if the images directory is empty
+  const isEmpty = await isDirectoryEmpty(imagesFolderPath);
+  if (isEmpty) {
+    throw new Error(
+      `The directory at "${imagesFolderPath}" is either empty or invalid. Don't forget to put your images in the images folder.`
+    );
+  }
+  // Verify the API key has access to the vision model. A dry run cannot ask.
+  const hasVisionModel = options.dryRun || (await providerHasModel(provider, modelWithVision));
+
+  if (!hasVisionModel) {
+    throw new Error(
+      `You do not have access to the required ${modelWithVision} model. Unable to proceed. Please see the README.`
+    );
+  }
+
+  // Reference images and examples go with every request
+  const context = options.contextFile ? loadCaptionContext(options.contextFile) : null;
+
+  // All checks passed
+
+  const fileExt = await choose("ext", options.ext); // txt or caption
+
+  let pathToImagesList = await findImages(options);
+
+  const failures = createFailureLog(outputFolderPath);
+  if (options.retryFailed) {
+    pathToImagesList = findFailedImages(pathToImagesList, imagesFolderPath, failures);
+    if (pathToImagesList.length === 0) {
+      logger.log(`No failed images to retry: ${failures.path} lists none of the images found.`);
+      return { aborted: false };
+    }
+  }
+
+  const layout = {
+    imagesFolder: imagesFolderPath,
+    outputFolder: outputFolderPath,
+    outputLayout: options.outputLayout,
+    fileExt,
+  };
+
+  // In refine mode only images that already have a caption are sent, together with that caption
+  let existingCaptions = new Map();
+  if (options.mode === "refine") {
+    existingCaptions = findCaptionsToRefine(pathToImagesList, options.refineFrom);
+    pathToImagesList = [...existingCaptions.keys()];
+    assertOriginalsKept(existingCaptions, (imagePath) => getCaptionPath(imagePath, layout));
+  }
+
+  // Every image gets its own prompt: the nearest folder prompt file or the
+  // main prompt file, with its variables filled in for that image. Caption
+  // files this tool wrote are not read back into it.
+  const recordedCaptions = readCaptionRecords(options.exportDir || outputFolderPath);
+  const renderPrompt =
+    options.mode === "refine"
+      ? createPromptRenderer({
+          imagesFolder: imagesFolderPath,
+          promptFile: options.refinePromptFile,
+          folderPromptFile: FOLDER_REFINE_PROMPT_FILE,
+          recordedCaptions,
+        })
+      : createPromptRenderer({ imagesFolder: imagesFolderPath, promptFile: options.promptFile, recordedCaptions });
+  const prompts = new Map(
+    pathToImagesList.map((imagePath) => [
+      imagePath,
+      options.mode === "refine"
+        ? buildRefinePrompt(renderPrompt(imagePath), existingCaptions.get(imagePath))
+        : renderPrompt(imagePath),
+    ])
+  );
+
+  assertUniqueCaptionPaths(pathToImagesList, layout);
+
+  // Without caption files there is nothing to overwrite
+  const existingCaptionCount = options.captionFiles
+    ? pathToImagesList.filter((imagePath) => fs.existsSync(getCaptionPath(imagePath, layout)))
+        .length
+    : 0;
+
+  // A dry run overwrites nothing; the plan lists the files a run would overwrite
+  let continueOverwrite = true;
+  if (existingCaptionCount > 0 && !options.dryRun) {
+    continueOverwrite = await choose("overwrite", options.overwrite, {
+      existingCount: existingCaptionCount,
+      fileExt,
+    });
+  }
+
+  if (!continueOverwrite) {
+    logger.log("Aborted.");
+    return { aborted: true };
+  }
+
+  const chosenFidelityLevel = await choose("fidelity", options.fidelity);
+
+  // Ask the user if they want to use batch processing, if the provider offers it
+  let useBatchProcessing = false;
+  if (provider.supportsBatch) {
+    useBatchProcessing = await choose("batch", options.batch);
+  } else if (options.batch) {
+    throw new Error(
+      options.provider === "openai"
+        ? `The server at ${options.baseUrl} is not known to implement the Batch API. ` +
+            "Use --no-batch instead, or pass --batch-api if it does."
+        : `The ${provider.name} provider does not support batch processing. Use --no-batch instead.`
+    );
+  }
+
+  // Preprocessing downsizes to what the chosen detail level can make use of
+  const preprocessing = options.preprocess
+    ? {
+        maxEdge: options.maxEdge || DEFAULT_MAX_EDGES[chosenFidelityLevel],
+        format: options.imageFormat,
+        quality: options.imageQuality,
+      }
+    : undefined;
+
+  const responsePolicies = { ...DEFAULT_RESPONSE_POLICIES, ...options.responsePolicies };
+  const cache = createCaptionCache({
+    dir: options.cacheDir,
+    enabled: options.cache,
+    // The prompt of each image is given when its key is computed
+    settings: {
+      provider: provider.name,
+      modelId: modelWithVision,
+      prompt: null,
+      fidelity: chosenFidelityLevel,
+      mode: options.mode,
+      // A lower limit or other policies can keep a reply that these would not
+      maxTokens: options.maxTokens,
+      responsePolicies,
+      ...(preprocessing ? { preprocessing } : {}),
+      ...(context ? { context: getContextCacheSettings(context) } : {}),
+    },
+  });
+
+  // Reference images that cannot be sent stop the run before any request does
+  await prepareContext(context, preprocessing);
+  const requestSettings = {
+    modelId: modelWithVision,
+    fidelity: chosenFidelityLevel,
+    responseSchema: getResponseSchema(options.mode),
+    maxTokens: options.maxTokens,
+    preprocessing,
+    ...(context ? { context } : {}),
+  };
+
+  // What to do about refusals, filtered, truncated and empty replies
+  const responseHandling = {
+    policies: responsePolicies,
+    alternatePrompt: options.alternatePromptFile
+      ? readAlternatePrompt(options.alternatePromptFile)
+      : DEFAULT_ALTERNATE_PROMPT,
+    maxAttempts: options.maxAttempts,
+  };
+
+  const postProcessing = getPostProcessing(options);
+  const exportSettings = getExportSettings(options);
+
+  const estimate = estimateRunCost({
+    provider,
+    imagePaths: pathToImagesList,
+    prompts,
+    modelId: modelWithVision,
+    fidelity: chosenFidelityLevel,
+    isBatch: useBatchProcessing,
+    expectedOutputTokens: options.expectedOutputTokens,
+    maxEdge: preprocessing && preprocessing.maxEdge,
+    context,
+  });
+  printCostEstimate(estimate);
+  if (options.budget && estimate.total.usd !== null && estimate.total.usd > options.budget) {
+    logger.log(
+      `The estimated cost is over the budget of ${formatUSD(options.budget)}: ` +
+        "requests stop being sent once it would be exceeded."
+    );
+  }
+
+  if (options.dryRun) {
+    const plan = await planRun(provider, pathToImagesList, prompts, requestSettings, layout, cache, {
+      isBatch: useBatchProcessing,
+      batchLimits: { maxRequests: options.batchMaxRequests, maxTokens: options.batchMaxTokens },
+      captionFiles: options.captionFiles,
+      overwrite: options.overwrite,
+      expectedOutputTokens: options.expectedOutputTokens,
+      budget: options.budget,
+    });
+    return { aborted: false, plan };
+  }
+
+  // Fails before anything is confirmed if the budget cannot be kept
+  const tracker = createUsageTracker(events, {
+    provider,
+    modelId: modelWithVision,
+    fidelity: chosenFidelityLevel,
+    maxEdge: preprocessing && preprocessing.maxEdge,
+    context,
+    expectedOutputTokens: options.expectedOutputTokens,
+    budget: options.budget ?? null,
+  });
+
+  logger.log(useBatchProcessing ? "Using batch processing mode..." : "Using synchronous processing mode...");
+  const costConfirmation = await choose("yes", options.yes || undefined, { estimate });
+
+  if (!costConfirmation) {
+    logger.log("Aborted.");
+    return { aborted: true };
+  }
+
+  events.emit("start", {
+    total: pathToImagesList.length,
+    mode: useBatchProcessing ? "batch" : "sync",
+    provider: provider.name,
+    modelId: modelWithVision,
+  });
+
+  if (useBatchProcessing) {
+    logger.log("Proceeding with batch processing...");
+    await processBatchImages(
+      provider,
+      pathToImagesList,
+      prompts,
+      requestSettings,
+      layout,
+      cache,
+      postProcessing,
+      exportSettings,
+      responseHandling,
+      { maxRequests: options.batchMaxRequests, maxTokens: options.batchMaxTokens },
+      {
+        mode: options.resubmitUnfinished,
+        concurrency: options.concurrency,
+        requestsPerMinute: options.requestsPerMinute,
+        tokensPerMinute: options.tokensPerMinute,
+      },
+      { events, tracker }
+    );
+  } else {
+    logger.log("Proceeding with synchronous processing...");
+    await processImagesSynchronously(
+      provider,
+      pathToImagesList,
+      prompts,
+      requestSettings,
+      layout,
+      cache,
+      createPostProcessor(postProcessing),
+      createCaptionWriter({
+        layout,
+        ...exportSettings,
+        modelId: modelWithVision,
+      }),
+      failures,
+      {
+        concurrency: options.concurrency,
+        requestsPerMinute: options.requestsPerMinute,
+        tokensPerMinute: options.tokensPerMinute,
+        responseHandling,
+        events,
+        tracker,
+      }
+    );
+  }
+  return { aborted: false, usage: reportUsage(tracker, outputFolderPath, events) };
+}
+
+/**
+ * Writes the usage of a run to the run summary file and reports it as a
+ * "summary" event.
+ *
+ * @param {Object} tracker - The usage tracker of the run.
+ * @param {string} outputFolderPath - The output folder.
+ * @param {EventEmitter} events - Where the "summary" event is emitted.
+ * @returns {Object} - The usage, as returned by the tracker's summary().
+ */
+function reportUsage(tracker, outputFolderPath, events) {
+  const usage = tracker.summary();
+  events.emit("summary", { usage, path: writeRunSummary(outputFolderPath, usage) });
+  return usage;
+}
+
+/**
+ * Finds the images to caption, applying the recursion and glob options.
+ *
+ * @param {Object} options - The resolved options.
+ * @returns {Promise<string[]>} - Paths to the images.
+ * @throws {Error} - If no image is found.
+ */
+async function findImages(options) {
+  const imagePaths = await discoverImages(options.images, {
+    recursive: options.recursive,
+    include: options.include,
+    exclude: options.exclude,
+  });
+  if (imagePaths.length === 0) {
+    throw new Error(
+      `No images were found in "${options.images}" that match the include and exclude patterns.`
+    );
+  }
+  return imagePaths;
+}
+
+/**
+ * Builds the post-processing settings, as taken by createPostProcessor.
+ *
+ * @param {Object} options - The resolved options.
+ * @returns {Object} - The post-processing settings.
+ */
+export function getPostProcessing(options) {
+  // Trigger words given as a flag go after the configured pipeline
+  return {
+    steps:
+      options.triggerWords.length > 0
+        ? [...options.postProcessing, { step: "triggerWords", prepend: options.triggerWords }]
+        : options.postProcessing,
+    escape: options.escape,
+    tags:
+      options.mode === "tags"
+        ? {
+            style: options.tagStyle,
+            whitelist: options.tagWhitelist,
+            blacklist: options.tagBlacklist,
+            maxTags: options.maxTags,
+          }
+        : undefined,
+  };
+}
+
+/**
+ * Builds the caption file and export settings, as taken by createCaptionWriter.
+ *
+ * @param {Object} options - The resolved options.
+ * @returns {Object} - The export settings.
+ */
+export function getExportSettings(options) {
+  return {
+    captionFiles: options.captionFiles,
+    formats: options.export,
+    exportDir: options.exportDir,
+    mode: options.mode,
+  };
+}
+
+/**
+ * Reads the prompt sent instead of the usual one by the alternatePrompt policy.
+ *
+ * @param {string} promptFile - Path to the alternate prompt file.
+ * @returns {string} - The alternate prompt.
+ */
+function readAlternatePrompt(promptFile) {
+  if (!fs.existsSync(promptFile)) {
+    throw new Error(`Alternate prompt file "${promptFile}" does not exist.`);
+  }
+  const prompt = fs.readFileSync(promptFile, "utf8").trim();
+  if (prompt === "") {
+    throw new Error(`Alternate prompt file "${promptFile}" is empty.`);
+  }
+  return prompt;
+}
+
+/**
+ * Picks the images listed in the failure log, for --retry-failed.
+ *
+ * @param {string[]} imagePaths - Paths to the images found in the images folder.
+ * @param {string} imagesFolder - The images folder.
+ * @param {Object} failures - The failure log, from createFailureLog.
+ * @returns {string[]} - Paths to the images that failed before.
+ */
+function findFailedImages(imagePaths, imagesFolder, failures) {
+  const failedPaths = imagePaths.filter((imagePath) =>
+    failures.has(getRelativeImagePath(imagesFolder, imagePath))
+  );
+  const missing = failures.size - failedPaths.length;
+  if (missing > 0) {
+    logger.log(
+      `${missing} failed image(s) were not found in "${imagesFolder}" or are excluded, and are left in the failure log.`
+    );
+  }
+  if (failedPaths.length > 0) {
+    logger.log(`Retrying ${failedPaths.length} failed image(s).`);
+  }
+  return failedPaths;
+}
+
+/**
+ * Finds the existing captions of each image for refine mode.
+ *
+ * @param {string[]} imagePaths - Paths to the images.
+ * @param {string[]} extensions - Caption file extensions to refine from.
+ * @returns {Map<string, Object[]>} - The captions of every image that has at least one.
+ * @throws {Error} - If no image has an existing caption.
+ */
+function findCaptionsToRefine(imagePaths, extensions) {
+  const existingCaptions = new Map();
+  for (const imagePath of imagePaths) {
+    const captions = readExistingCaptions(imagePath, extensions);
+    if (captions.length > 0) {
+      existingCaptions.set(imagePath, captions);
+    }
+  }
+  const extensionList = extensions.map((extension) => `.${extension}`).join(" or ");
+  if (existingCaptions.size === 0) {
+    throw new Error(`No images have an existing ${extensionList} caption to refine.`);
+  }
+  const skipped = imagePaths.length - existingCaptions.size;
+  if (skipped > 0) {
+    logger.log(`Skipping ${skipped} image(s) without an existing ${extensionList} caption.`);
+  }
+  return existingCaptions;
+}
+
+/**
+ * Rewrites the export files from the captions already on disk, without
+ * sending any request.
+ *
+ * @param {Object} options - The resolved options.
+ * @param {Function} choose - Called with (name, value) for the caption file extension if none is set.
+ */
+async function regenerateExports(options, choose) {
+  if (options.export.length === 0) {
+    throw new Error("Nothing to export. Choose the formats to write with --export.");
+  }
+  const fileExt = await choose("ext", options.ext);
+  const imagePaths = await findImages(options);
+  const writer = createCaptionWriter({
+    layout: {
+      imagesFolder: options.images,
+      outputFolder: options.output,
+      outputLayout: options.outputLayout,
+      fileExt,
+    },
+    captionFiles: options.captionFiles,
+    formats: options.export,
+    exportDir: options.exportDir,
+    mode: options.mode,
+  });
+
+  const captionCount = writer.readExisting(imagePaths);
+  writer.flush();
+  logger.log(
+    `Exported ${captionCount} captions (${imagePaths.length - captionCount} images have none) ` +
+      `to ${options.exportDir || options.output}.`
+  );
+}
+
+/**
+ * Check if a specified directory is empty.
+ * @param {string} dirPath - The path to the directory to check.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the directory is empty, false otherwise.
+ */
+async function isDirectoryEmpty(dirPath) {
+  try {
+    const files = await readdir(dirPath);
+    // Filter out .gitkeep files
+    const relevantFiles = files.filter((file) => file !== ".gitkeep");
+    return relevantFiles.length === 0;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      logger.log("The specified directory does not exist.");
+    } else {
+      logger.log("An error occurred:", error.message);
+    }
+    return false;
+  }
+}
+
+function withoutUndefined(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,315 @@
+import { Command, InvalidArgumentError, Option } from "commander";
+import { DEFAULT_CONFIG_PATH, DEFAULT_OPTIONS } from "../utils/config.js";
+import { OUTPUT_LAYOUTS } from "../utils/dataset.js";
+import { TAG_STYLES } from "../utils/tags.js";
+import { EXPORT_FORMATS } from "../utils/exporters.js";
+import { DEFAULT_MAX_EDGES, PREPROCESS_FORMATS } from "../utils/imageEncoder.js";
+import { PROVIDER_NAMES } from "../providers/index.js";
+
+/**
+ * Builds the command-line interface.
+ *
+ * Flags are left undefined when they are not given so that values from the
+ * config file and profiles can fill them in before falling back to questions.
+ *
+ * @param {Function} runCaptioner - Called with (cliOptions, { config, profile }) to caption images.
+ * @param {Function} runBatchCommand - Called with (name, batchIds, cliOptions, { config, profile })
+ *   to run one of the batch subcommands.
+ * @returns {Command} - The commander program, ready to parse process.argv.
+ */
+export function createProgram(runCaptioner, runBatchCommand) {
+  const program = new Command();
+
+  program
+    // Options after a subcommand belong to the subcommand
+    .enablePositionalOptions()
+    .name("gpt-4-vision-captioner")
+    .description("Caption a folder of images with a vision model.")
+    .option("-c, --config <path>", "config file with named profiles", DEFAULT_CONFIG_PATH)
+    .option("-p, --profile <name>", "profile from the config file to apply")
+    .option("--images <dir>", `folder containing the images (default: "${DEFAULT_OPTIONS.images}")`)
+    .option("--output <dir>", `folder to write captions to (default: "${DEFAULT_OPTIONS.output}")`)
+    .option("--recursive", "look for images in subfolders of the images folder (default)")
+    .option("--no-recursive", "only caption images directly in the images folder")
+    .option("--include <glob...>", 'only caption images whose relative path matches one of these globs, e.g. "10_mychar/**"')
+    .option("--exclude <glob...>", "skip images whose relative path matches one of these globs")
+    .addOption(
+      new Option(
+        "--output-layout <layout>",
+        `where captions are written: mirror the image subfolders in the output folder, flat in the output folder, or sidecar next to each image (default: "${DEFAULT_OPTIONS.outputLayout}")`
+      ).choices(OUTPUT_LAYOUTS)
+    )
+    .option("--caption-files", "write a caption file for every image (default)")
+    .option("--no-caption-files", "only write the export files, not a caption file per image")
+    .addOption(
+      new Option(
+        "--export <formats...>",
+        "also write the captions to these files: metadata (Hugging Face metadata.jsonl), kohya (meta_cap.json), csv, manifest (captions.json)"
+      ).choices(EXPORT_FORMATS)
+    )
+    .option("--export-dir <dir>", "folder to write the export files to (default: the output folder)")
+    .option("--export-only", "rewrite the export files from existing captions without captioning anything")
+    .option("--prompt-file <path>", `file containing the prompt (default: "${DEFAULT_OPTIONS.promptFile}")`)
+    .option(
+      "--context-file <path>",
+      "JSON file of named reference images and example captions to send with every request"
+    )
+    .addOption(
+      new Option(
+        "--mode <mode>",
+        `write prose captions, booru tags requested as structured JSON, or refine the captions already next to the images (default: "${DEFAULT_OPTIONS.mode}")`
+      ).choices(["caption", "tags", "refine"])
+    )
+    .option(
+      "--refine-prompt-file <path>",
+      `in refine mode, file containing the refinement prompt (default: "${DEFAULT_OPTIONS.refinePromptFile}")`
+    )
+    .option(
+      "--refine-from <exts...>",
+      `in refine mode, extensions of the caption files next to the images to refine (default: ${DEFAULT_OPTIONS.refineFrom.join(" ")})`
+    )
+    .addOption(
+      new Option(
+        "--tag-style <style>",
+        `write multi-word tags with spaces or underscores (default: "${DEFAULT_OPTIONS.tagStyle}")`
+      ).choices(TAG_STYLES)
+    )
+    .option("--tag-whitelist <tags...>", "in tag mode, only keep these tags")
+    .option("--tag-blacklist <tags...>", "in tag mode, drop these tags")
+    .option("--max-tags <count>", "in tag mode, keep at most this many tags", parsePositiveInteger)
+    .option("--model <id>", "vision model (or Azure deployment) to use (default: the provider's default model)")
+    .addOption(
+      new Option("--provider <name>", `vision API provider (default: "${DEFAULT_OPTIONS.provider}")`).choices(
+        PROVIDER_NAMES
+      )
+    )
+    .option("--base-url <url>", "API base URL, e.g. a local OpenAI-compatible server or an Azure endpoint")
+    .option("--batch-api", "the OpenAI-compatible server at --base-url also implements the files and batches APIs")
+    .option("--api-version <version>", "API version to request (Azure only)")
+    .option("--record <dir>", "save every API request and response to this cassette folder")
+    .option("--replay <dir>", "answer API requests from this cassette folder instead of the network")
+    .addOption(new Option("--ext <ext>", "caption file extension").choices(["txt", "caption"]))
+    .addOption(
+      new Option("--fidelity <level>", "image understanding fidelity").choices(["low", "high", "auto"])
+    )
+    .option("--preprocess", "downsize, turn upright and re-encode images without their metadata before sending them")
+    .option("--no-preprocess", "send images as they are (default)")
+    .option(
+      "--max-edge <pixels>",
+      `with --preprocess, longest image edge (default: ${DEFAULT_MAX_EDGES.low} for low fidelity, ${DEFAULT_MAX_EDGES.high} otherwise)`,
+      parsePositiveInteger
+    )
+    .addOption(
+      new Option(
+        "--image-format <format>",
+        `with --preprocess, format to re-encode images to (default: "${DEFAULT_OPTIONS.imageFormat}")`
+      ).choices(PREPROCESS_FORMATS)
+    )
+    .option(
+      "--image-quality <quality>",
+      `with --preprocess, JPEG or WebP quality from 1 to 100 (default: ${DEFAULT_OPTIONS.imageQuality})`,
+      parseQuality
+    )
+    .option(
+      "--expected-output-tokens <count>",
+      `expected caption length in tokens, used for the cost estimate (default: ${DEFAULT_OPTIONS.expectedOutputTokens})`,
+      parsePositiveInteger
+    )
+    .option(
+      "--budget <usd>",
+      "most the run may spend in USD; no request is sent once its projected cost would exceed it",
+      parsePositiveNumber
+    )
+    .option("--batch", "use the Batch API (50% cheaper, up to 24 hours)")
+    .option("--no-batch", "query images one at a time")
+    .option(
+      "--batch-max-requests <count>",
+      `most requests in one batch; larger runs are split into several batches (default: ${DEFAULT_OPTIONS.batchMaxRequests})`,
+      parsePositiveInteger
+    )
+    .option(
+      "--batch-max-tokens <count>",
+      "most estimated input tokens in one batch, to stay under the enqueued token limit of your tier",
+      parsePositiveInteger
+    )
+    .addOption(
+      new Option(
+        "--resubmit-unfinished <how>",
+        `send the requests an expired or cancelled batch never got to again in a new batch, one at a time, or not at all (default: "${DEFAULT_OPTIONS.resubmitUnfinished}")`
+      ).choices(["batch", "sync", "none"])
+    )
+    .option(
+      "--concurrency <count>",
+      `synchronous requests in flight at once (default: ${DEFAULT_OPTIONS.concurrency})`,
+      parsePositiveInteger
+    )
+    .option(
+      "--requests-per-minute <count>",
+      "request rate limit to start with, until the provider reports its own",
+      parsePositiveInteger
+    )
+    .option(
+      "--tokens-per-minute <count>",
+      "token rate limit to start with, until the provider reports its own",
+      parsePositiveInteger
+    )
+    .option(
+      "--max-attempts <count>",
+      `attempts per image before giving up on it (default: ${DEFAULT_OPTIONS.maxAttempts})`,
+      parsePositiveInteger
+    )
+    .option(
+      "--max-tokens <count>",
+      `maximum length of a reply in tokens (default: ${DEFAULT_OPTIONS.maxTokens})`,
+      parsePositiveInteger
+    )
+    .option(
+      "--alternate-prompt-file <path>",
+      "prompt to send instead when the model refuses, if the refusal policy is alternatePrompt (default: a built-in neutral prompt)"
+    )
+    .option("--trigger-words <words...>", "trigger words or class tokens to put at the start of every caption")
+    .option("--escape", "backslash-escape parentheses and double quotes in captions (default)")
+    .option("--no-escape", "write captions without escaping parentheses and double quotes")
+    .option("--cache", "reuse cached captions of unchanged images (default)")
+    .option("--no-cache", "ignore cached captions and caption every image again")
+    .option("--cache-dir <dir>", `folder cached captions are kept in (default: "${DEFAULT_OPTIONS.cacheDir}")`)
+    .option("--log", "write a JSON Lines log of the run to the logs folder of the output folder (default)")
+    .option("--no-log", "write no run log")
+    .option("--log-file <path>", "file to write the run log to instead")
+    .option("--quiet", "show no progress display, e.g. in CI")
+    .option("--overwrite", "overwrite existing caption files without asking")
+    .option("--no-overwrite", "abort if caption files already exist")
+    .option("-y, --yes", "accept all costs incurred by the API requests without asking")
+    .option("--resume", "re-attach to the unfinished batch run in the output folder")
+    .option("--retry-failed", "only caption the images listed in the failures file of the output folder")
+    .option("--dry-run", "write the requests and a plan report to the output folder without sending anything")
+    .action(async (options, command) => {
+      const { config, profile, ...cliOptions } = options;
+      await runCaptioner(cliOptions, {
+        config,
+        configRequired: command.getOptionValueSource("config") !== "default",
+        profile,
+      });
+    });
+
+  const batch = program
+    .command("batch")
+    .description("manage the batches sent to the Batch API");
+  addBatchCommand(batch, "list", "list recent batches with their status and request counts", runBatchCommand)
+    .option("--limit <count>", "how many batches to list (default: 20)", parsePositiveInteger);
+  addBatchCommand(batch, "inspect <batch-id>", "show everything known about a batch", runBatchCommand);
+  addBatchCommand(batch, "cancel <batch-id...>", "cancel running batches", runBatchCommand);
+  addBatchCommand(
+    batch,
+    "download <batch-id>",
+    "download a completed, expired or cancelled batch and write its captions; batches of the run in the output folder use that run's settings",
+    runBatchCommand
+  )
+    .option("--images <dir>", `for batches from outside the run, the folder the batch was made from (default: "${DEFAULT_OPTIONS.images}")`)
+    .addOption(new Option("--ext <ext>", "for batches from outside the run, the caption file extension (default: \"txt\")").choices(["txt", "caption"]))
+    .addOption(
+      new Option("--output-layout <layout>", "for batches from outside the run, where captions are written").choices(
+        OUTPUT_LAYOUTS
+      )
+    )
+    .addOption(
+      new Option("--mode <mode>", "for batches from outside the run, whether the batch asked for captions or tags").choices([
+        "caption",
+        "tags",
+      ])
+    )
+    .addOption(
+      new Option("--export <formats...>", "for batches from outside the run, also write these export files").choices(
+        EXPORT_FORMATS
+      )
+    );
+  addBatchCommand(
+    batch,
+    "clean [batch-id...]",
+    "delete the input, output and error files of batches from the provider once their captions are saved (default: every finished batch of the run in the output folder)",
+    runBatchCommand
+  );
+
+  return program;
+}
+
+/**
+ * Adds a batch subcommand with the options every batch subcommand takes.
+ *
+ * @param {Command} parent - The batch command.
+ * @param {string} nameAndArgs - The subcommand name and its arguments, e.g. "inspect <batch-id>".
+ * @param {string} description - What the subcommand does.
+ * @param {Function} runBatchCommand - Called with (name, batchIds, cliOptions, { config, profile }).
+ * @returns {Command} - The subcommand, to add its own options to.
+ */
+function addBatchCommand(parent, nameAndArgs, description, runBatchCommand) {
+  return parent
+    .command(nameAndArgs)
+    .description(description)
+    .option("-c, --config <path>", "config file with named profiles", DEFAULT_CONFIG_PATH)
+    .option("-p, --profile <name>", "profile from the config file to apply")
+    .option("--output <dir>", `output folder of the run the batches belong to (default: "${DEFAULT_OPTIONS.output}")`)
+    .addOption(
+      new Option("--provider <name>", `vision API provider (default: "${DEFAULT_OPTIONS.provider}")`).choices(
+        PROVIDER_NAMES
+      )
+    )
+    .option("--base-url <url>", "API base URL, e.g. an Azure endpoint")
+    .option("--batch-api", "the OpenAI-compatible server at --base-url also implements the files and batches APIs")
+    .option("--api-version <version>", "API version to request (Azure only)")
+    .option("--record <dir>", "save every API request and response to this cassette folder")
+    .option("--replay <dir>", "answer API requests from this cassette folder instead of the network")
+    .action(async (...args) => {
+      const command = args[args.length - 1];
+      const { config, profile, ...cliOptions } = command.opts();
+      // A single batch ID is passed as a list too
+      const batchIds = command.processedArgs.length > 0 ? [].concat(command.processedArgs[0] || []) : [];
+      await runBatchCommand(command.name(), batchIds, cliOptions, {
+        config,
+        configRequired: command.getOptionValueSource("config") !== "default",
+        profile,
+      });
+    });
+}
+
+/**
+ * Parses a flag value that must be a positive whole number.
+ *
+ * @param {string} value - The raw flag value.
+ * @returns {number} - The parsed number.
+ */
+function parsePositiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new InvalidArgumentError("Must be a positive whole number.");
+  }
+  return number;
+}
+
+/**
+ * Parses a flag value that must be a positive number, such as an amount in USD.
+ *
+ * @param {string} value - The raw flag value.
+ * @returns {number} - The parsed number.
+ */
+function parsePositiveNumber(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new InvalidArgumentError("Must be a positive number.");
+  }
+  return number;
+}
+
+/**
+ * Parses a flag value that must be an image quality from 1 to 100.
+ *
+ * @param {string} value - The raw flag value.
+ * @returns {number} - The parsed quality.
+ */
+function parseQuality(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > 100) {
+    throw new InvalidArgumentError("Must be a whole number from 1 to 100.");
+  }
+  return number;
+}
@@ -0,0 +1,177 @@
+import readline from "readline";
+
+// Width of the progress bar in characters
+const BAR_WIDTH = 24;
+
+// How often the display is redrawn so the elapsed time and ETA keep moving
+const REDRAW_INTERVAL_MS = 1000;
+
+// Without a terminal, a progress line is printed every this many percent
+const PLAIN_STEP_PERCENT = 10;
+
+/**
+ * Shows the progress of a captioner run.
+ *
+ * On a terminal the display is redrawn in place below the other output: a
+ * progress bar with counts, percentage, retries and failures, with the
+ * throughput and ETA of a synchronous run, followed by a line per batch with
+ * the request counts the Batch API reports. Messages logged through the
+ * display's logger while it is shown are printed above it. Without a terminal, such as in CI
+ * logs, a plain line is printed every 10% of a synchronous run and whenever
+ * a batch changes status or finishes more requests.
+ *
+ * @param {EventEmitter} captioner - The captioner, from createCaptioner.
+ * @param {Object} [settings]
+ * @param {Object} [settings.stream=process.stderr] - Where the display is written.
+ * @returns {{logger: Object, stop: Function}} - The display: a logger shaped like the console to run the
+ *   captioner with, and `stop`, which draws the display one last time and stops redrawing.
+ */
+export function createProgressDisplay(captioner, { stream = process.stderr } = {}) {
+  const interactive = Boolean(stream.isTTY);
+  const batches = new Map();
+  let progress = null;
+  let mode = null;
+  let startedAt = null;
+  let linesDrawn = 0;
+  let lastStep = -1;
+  let timer = null;
+  let shown = false;
+
+  function clear() {
+    if (linesDrawn > 0) {
+      readline.moveCursor(stream, 0, -linesDrawn);
+      readline.clearScreenDown(stream);
+      linesDrawn = 0;
+    }
+  }
+
+  function draw() {
+    if (!progress) {
+      return;
+    }
+    const lines = [formatProgress(progress, mode, startedAt), ...[...batches.values()].map(formatBatch)]
+      // A wrapped line would throw off how many lines are cleared on the next redraw
+      .map((line) => (stream.columns ? line.slice(0, stream.columns - 1) : line));
+    stream.write(lines.join("\n") + "\n");
+    linesDrawn = lines.length;
+  }
+
+  function redraw() {
+    clear();
+    draw();
+  }
+
+  function onStart(start) {
+    mode = start.mode;
+    startedAt = Date.now();
+    progress = { total: start.total, done: 0, captioned: 0, cached: 0, failed: 0, retries: 0 };
+    if (interactive) {
+      shown = true;
+      timer = setInterval(redraw, REDRAW_INTERVAL_MS);
+      timer.unref();
+      redraw();
+    }
+  }
+
+  function onProgress({ batch, ...counts }) {
+    progress = counts;
+    if (batch) {
+      const previous = batches.get(batch.index);
+      batches.set(batch.index, batch);
+      if (!interactive && (!previous || hasBatchChanged(previous, batch))) {
+        stream.write(formatBatch(batch) + "\n");
+      }
+    } else if (!interactive && mode === "sync") {
+      // Batch results arrive all at once when a batch finishes, so only its status lines are printed
+      const step = counts.total > 0 ? Math.floor((counts.done / counts.total) * (100 / PLAIN_STEP_PERCENT)) : 0;
+      if (step !== lastStep) {
+        lastStep = step;
+        stream.write(formatProgress(counts, mode, startedAt) + "\n");
+      }
+    }
+    if (interactive) {
+      redraw();
+    }
+  }
+
+  captioner.on("start", onStart);
+  captioner.on("progress", onProgress);
+
+  // Logged lines go above the display instead of through it
+  const logger = {};
+  for (const name of ["log", "info", "warn", "error"]) {
+    logger[name] = (...args) => {
+      if (!shown) {
+        console[name](...args);
+        return;
+      }
+      clear();
+      console[name](...args);
+      draw();
+    };
+  }
+
+  return {
+    logger,
+
+    stop() {
+      captioner.off("start", onStart);
+      captioner.off("progress", onProgress);
+      if (timer) {
+        clearInterval(timer);
+      }
+      shown = false;
+      if (interactive) {
+        // The last state stays on screen
+        redraw();
+        linesDrawn = 0;
+      }
+    },
+  };
+}
+
+function formatProgress({ total, done, captioned, cached, failed, retries }, mode, startedAt) {
+  const ratio = total > 0 ? Math.min(done / total, 1) : 0;
+  const filled = Math.round(ratio * BAR_WIDTH);
+  const elapsedMs = Date.now() - startedAt;
+  const counts =
+    `[${"#".repeat(filled)}${"-".repeat(BAR_WIDTH - filled)}] ${done}/${total} (${Math.floor(ratio * 100)}%)` +
+    ` | ${captioned} captioned, ${cached} cached, ${failed} failed, ${retries} retries`;
+  if (mode === "batch") {
+    return `${counts} | elapsed ${formatDuration(elapsedMs)}`;
+  }
+  // Cached captions are written at once, so only images that were sent count towards the rate
+  const sent = captioned + failed;
+  const perMinute = elapsedMs > 0 ? (sent / elapsedMs) * 60000 : 0;
+  const eta = perMinute > 0 && done < total ? formatDuration(((total - done) / perMinute) * 60000) : "--";
+  return `${counts} | ${perMinute.toFixed(1)} images/min | elapsed ${formatDuration(elapsedMs)} | ETA ${eta}`;
+}
+
+function formatBatch({ index, batchId, status, requestCounts, requests }) {
+  const counts = requestCounts
+    ? `${requestCounts.completed}/${requestCounts.total || requests} completed, ${requestCounts.failed} failed`
+    : `${requests} requests`;
+  return `  Batch ${index} (${batchId}): ${status}, ${counts}`;
+}
+
+function hasBatchChanged(previous, batch) {
+  const before = previous.requestCounts || {};
+  const after = batch.requestCounts || {};
+  return (
+    previous.status !== batch.status ||
+    before.completed !== after.completed ||
+    before.failed !== after.failed
+  );
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
+  }
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+}
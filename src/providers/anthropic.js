@@ -0,0 +1,155 @@
+import { readNumberHeader, requestJson } from "./http.js";
+
+export const ANTHROPIC_BASE_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// Maps Messages API stop reasons to the finish reasons used by the rest of the tool
+const FINISH_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  tool_use: "stop",
+  max_tokens: "length",
+  refusal: "content_filter",
+};
+
+/**
+ * Creates a provider for the Anthropic Messages API.
+ *
+ * Claude has no detail level, so the fidelity setting is ignored.
+ *
+ * @param {Object} settings
+ * @param {string} settings.apiKey - The Anthropic API key.
+ * @param {string} [settings.baseUrl] - Base URL including the version path.
+ * @param {Function} [settings.transport] - Sends HTTP requests, as taken by requestJson.
+ * @returns {Object} - The provider.
+ */
+export function createAnthropicProvider({ apiKey, baseUrl = ANTHROPIC_BASE_URL, transport }) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const headers = {
+    "x-api-key": apiKey,
+    "anthropic-version": ANTHROPIC_VERSION,
+    "Content-Type": "application/json",
+  };
+
+  return {
+    name: "anthropic",
+    defaultModel: "claude-sonnet-4-20250514",
+    requiresApiKey: true,
+    supportsBatch: false,
+
+    async listModels() {
+      const { data } = await requestJson(
+        `${root}/models?limit=1000`,
+        { method: "GET", headers },
+        "list models",
+        transport
+      );
+      return data.data.map((model) => model.id);
+    },
+
+    /**
+     * The Messages API has no JSON response format, so a structured response
+     * is requested by forcing a call to a tool whose input is the schema.
+     */
+    buildRequestBody({ prompt, image, context = [], modelId, maxTokens, responseSchema }) {
+      const body = {
+        model: modelId,
+        max_tokens: maxTokens,
+        messages: [
+          {
+            role: "user",
+            content: [
+              ...context.map(toContentBlock),
+              {
+                type: "image",
+                source: { type: "base64", media_type: image.mimeType, data: image.base64 },
+              },
+              {
+                type: "text",
+                text: prompt,
+              },
+            ],
+          },
+        ],
+      };
+      if (responseSchema) {
+        body.tools = [{ name: responseSchema.name, input_schema: responseSchema.schema }];
+        body.tool_choice = { type: "tool", name: responseSchema.name };
+      }
+      return body;
+    },
+
+    async complete(modelId, body) {
+      const { data, headers: responseHeaders } = await requestJson(
+        `${root}/messages`,
+        { method: "POST", headers, body: JSON.stringify(body) },
+        "create message",
+        transport
+      );
+      return { ...parseMessage(data), headers: responseHeaders };
+    },
+
+    /**
+     * Images are scaled so their long edge is at most 1568px and cost about
+     * one token per 750 pixels, up to roughly 1600 tokens.
+     */
+    estimateImageTokens(width, height) {
+      const scale = Math.min(1, 1568 / Math.max(width, height));
+      return Math.min(1600, Math.ceil((width * scale * height * scale) / 750));
+    },
+
+    readRateLimits(headers) {
+      return {
+        limitRequests: readNumberHeader(headers, "anthropic-ratelimit-requests-limit"),
+        limitTokens: readNumberHeader(headers, "anthropic-ratelimit-tokens-limit"),
+        remainingRequests: readNumberHeader(headers, "anthropic-ratelimit-requests-remaining"),
+        remainingTokens: readNumberHeader(headers, "anthropic-ratelimit-tokens-remaining"),
+        resetRequestsMs: timeUntil(headers.get("anthropic-ratelimit-requests-reset")),
+        resetTokensMs: timeUntil(headers.get("anthropic-ratelimit-tokens-reset")),
+      };
+    },
+  };
+}
+
+/**
+ * Normalizes a Messages API response. A forced tool call, used for structured
+ * responses, is returned as the JSON text of its input.
+ *
+ * @param {Object} data - The message response body.
+ * @returns {{text: string, finishReason: string, usage: Object, raw: Object}}
+ */
+function parseMessage(data) {
+  const content = data.content || [];
+  const toolUse = content.find((block) => block.type === "tool_use");
+  const textBlocks = content.filter((block) => block.type === "text");
+  let text = null;
+  if (toolUse) {
+    text = JSON.stringify(toolUse.input);
+  } else if (textBlocks.length > 0) {
+    text = textBlocks.map((block) => block.text).join("");
+  }
+  return {
+    text,
+    finishReason: FINISH_REASONS[data.stop_reason] || data.stop_reason || null,
+    usage: data.usage
+      ? { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens }
+      : null,
+    raw: data,
+  };
+}
+
+// Anthropic reports resets as RFC 3339 timestamps
+function timeUntil(timestamp) {
+  const time = Date.parse(timestamp);
+  return Number.isNaN(time) ? null : Math.max(0, time - Date.now());
+}
+
+function toContentBlock(part) {
+  if (part.type === "image") {
+    return {
+      type: "image",
+      source: { type: "base64", media_type: part.image.mimeType, data: part.image.base64 },
+    };
+  }
+  return { type: "text", text: part.text };
+}
@@ -0,0 +1,47 @@
+import { createChatCompletionsProvider } from "./openai.js";
+
+export const AZURE_DEFAULT_API_VERSION = "2024-10-21";
+
+/**
+ * Creates a provider for Azure OpenAI deployments.
+ *
+ * Azure addresses models by deployment name, so the configured model must be
+ * the name of a deployment of a vision model (a Global Batch deployment for
+ * batch processing).
+ *
+ * @param {Object} settings
+ * @param {string} settings.apiKey - The Azure OpenAI resource key.
+ * @param {string} settings.baseUrl - The resource endpoint, e.g. "https://my-resource.openai.azure.com".
+ * @param {string} [settings.apiVersion] - The API version to request.
+ * @param {Function} [settings.transport] - Sends HTTP requests, as taken by requestJson.
+ * @returns {Object} - The provider.
+ */
+export function createAzureProvider({
+  apiKey,
+  baseUrl,
+  apiVersion = AZURE_DEFAULT_API_VERSION,
+  transport,
+}) {
+  if (!baseUrl) {
+    throw new Error(
+      "The azure provider needs --base-url set to your resource endpoint, e.g. https://my-resource.openai.azure.com"
+    );
+  }
+  const root = `${baseUrl.replace(/\/+$/, "")}/openai`;
+  const query = `api-version=${encodeURIComponent(apiVersion)}`;
+
+  return createChatCompletionsProvider({
+    name: "azure",
+    defaultModel: undefined,
+    requiresApiKey: true,
+    supportsBatch: true,
+    url: (path) => `${root}${path}?${query}`,
+    chatCompletionsUrl: (deployment) =>
+      `${root}/deployments/${encodeURIComponent(deployment)}/chat/completions?${query}`,
+    authHeaders: { "api-key": apiKey },
+    batchEndpoint: "/chat/completions",
+    // Deployments cannot be listed with a resource key, so the deployment is not checked up front
+    listModels: async () => null,
+    transport,
+  });
+}
@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import fetch, { Response } from "node-fetch";
+
+// Request headers that carry credentials and are never written to a cassette
+const SECRET_HEADERS = ["authorization", "api-key", "x-api-key", "x-goog-api-key"];
+
+// Inline images are shortened in the recorded requests, which are only there to be read:
+// data URLs, and the base64 "data" next to the MIME type of Anthropic and Gemini images
+const DATA_URL_PATTERN = /data:([\w/+.-]+);base64,[A-Za-z0-9+/=]+/g;
+const MIME_TYPE_KEYS = ["media_type", "mime_type", "mimeType"];
+
+/**
+ * Creates a transport that records every request and response to a cassette
+ * directory, or serves recorded responses instead of calling the network.
+ * It is passed to the providers, so it sees chat completions, file uploads,
+ * batch creation, status polls and result downloads alike.
+ *
+ * A request is matched by its method, URL and body. A request that is sent
+ * more than once, such as a batch status poll, gets its recorded responses
+ * in the order they were recorded. Uploaded files are matched by URL and
+ * order only, as multipart bodies change with every upload. Error responses
+ * are recorded and replayed too, so retries happen as they did.
+ *
+ * @param {Object} settings
+ * @param {string} settings.mode - "record" or "replay".
+ * @param {string} settings.dir - The cassette directory.
+ * @returns {Function} - The transport, taking the same arguments as fetch.
+ */
+export function createCassetteTransport({ mode, dir }) {
+  if (mode === "replay" && !fs.existsSync(dir)) {
+    throw new Error(`Cassette "${dir}" does not exist. Record it first with --record.`);
+  }
+  if (mode === "record") {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  // How many times each request has been sent, so repeated requests map to successive recordings
+  const occurrences = new Map();
+
+  return async function cassetteTransport(url, options = {}) {
+    const method = (options.method || "GET").toUpperCase();
+    const body = typeof options.body === "string" ? options.body : "";
+    const key = crypto.createHash("sha256").update(`${method} ${url}\n${body}`).digest("hex");
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+    const interactionPath = path.join(dir, getInteractionFileName(method, url, key, occurrence));
+
+    if (mode === "replay") {
+      if (!fs.existsSync(interactionPath)) {
+        throw new Error(
+          `Cassette "${dir}" has no recorded response for ${method} ${url} (request ${occurrence} of its kind). ` +
+            "Record the run again with --record."
+        );
+      }
+      const { response } = JSON.parse(fs.readFileSync(interactionPath, "utf8"));
+      return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    }
+
+    const response = await fetch(url, options);
+    const responseBody = await response.text();
+    const interaction = {
+      recordedAt: new Date().toISOString(),
+      request: {
+        method,
+        url,
+        headers: redactHeaders(options.headers || {}),
+        body: describeRequestBody(options.body),
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: responseBody,
+      },
+    };
+    const tempPath = `${interactionPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(interaction, null, 2));
+    fs.renameSync(tempPath, interactionPath);
+
+    return new Response(responseBody, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  };
+}
+
+// e.g. "POST_chat_completions_3f2a9c1e0b7d_1.json"
+function getInteractionFileName(method, url, key, occurrence) {
+  const slug = new URL(url).pathname
+    .split("/")
+    .filter((segment) => segment !== "" && !/^v\d/.test(segment))
+    .join("_")
+    .replace(/[^\w.-]+/g, "-")
+    .slice(-60);
+  return `${method}_${slug}_${key.slice(0, 12)}_${occurrence}.json`;
+}
+
+function redactHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !SECRET_HEADERS.includes(name.toLowerCase()))
+  );
+}
+
+function describeRequestBody(body) {
+  if (body === undefined) {
+    return null;
+  }
+  if (typeof body !== "string") {
+    return "<multipart upload>";
+  }
+  try {
+    return JSON.stringify(shortenImages(JSON.parse(body)));
+  } catch (error) {
+    return shortenDataUrls(body);
+  }
+}
+
+function shortenImages(value) {
+  if (typeof value === "string") {
+    return shortenDataUrls(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(shortenImages);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  const isImage = typeof value.data === "string" && MIME_TYPE_KEYS.some((key) => typeof value[key] === "string");
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) =>
+      isImage && key === "data" ? [key, `<${entry.length} characters>`] : [key, shortenImages(entry)]
+    )
+  );
+}
+
+function shortenDataUrls(text) {
+  return text.replace(DATA_URL_PATTERN, (dataUrl, mimeType) => `data:${mimeType};base64,<${dataUrl.length} characters>`);
+}
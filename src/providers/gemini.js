@@ -0,0 +1,171 @@
+import { requestJson } from "./http.js";
+
+export const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+// Maps Gemini finish reasons to the finish reasons used by the rest of the tool
+const FINISH_REASONS = {
+  STOP: "stop",
+  MAX_TOKENS: "length",
+  SAFETY: "content_filter",
+  RECITATION: "content_filter",
+  BLOCKLIST: "content_filter",
+  PROHIBITED_CONTENT: "content_filter",
+  SPII: "content_filter",
+};
+
+/**
+ * Creates a provider for the Gemini API.
+ *
+ * Gemini has no per-request detail level, so the fidelity setting is ignored.
+ *
+ * @param {Object} settings
+ * @param {string} settings.apiKey - The Gemini API key.
+ * @param {string} [settings.baseUrl] - Base URL including the version path.
+ * @param {Function} [settings.transport] - Sends HTTP requests, as taken by requestJson.
+ * @returns {Object} - The provider.
+ */
+export function createGeminiProvider({ apiKey, baseUrl = GEMINI_BASE_URL, transport }) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const headers = {
+    "x-goog-api-key": apiKey,
+    "Content-Type": "application/json",
+  };
+
+  return {
+    name: "gemini",
+    defaultModel: "gemini-2.0-flash",
+    requiresApiKey: true,
+    supportsBatch: false,
+
+    async listModels() {
+      const { data } = await requestJson(
+        `${root}/models?pageSize=1000`,
+        { method: "GET", headers },
+        "list models",
+        transport
+      );
+      return data.models.map((model) => model.name.replace(/^models\//, ""));
+    },
+
+    buildRequestBody({ prompt, image, context = [], maxTokens, responseSchema }) {
+      const body = {
+        contents: [
+          {
+            role: "user",
+            parts: [
+              ...context.map(toPart),
+              { inline_data: { mime_type: image.mimeType, data: image.base64 } },
+              { text: prompt },
+            ],
+          },
+        ],
+        generationConfig: { maxOutputTokens: maxTokens },
+      };
+      if (responseSchema) {
+        body.generationConfig.responseMimeType = "application/json";
+        body.generationConfig.responseSchema = toGeminiSchema(responseSchema.schema);
+      }
+      return body;
+    },
+
+    async complete(modelId, body) {
+      const { data, headers: responseHeaders } = await requestJson(
+        `${root}/models/${encodeURIComponent(modelId)}:generateContent`,
+        { method: "POST", headers, body: JSON.stringify(body) },
+        "generate content",
+        transport
+      );
+      return { ...parseGenerateContent(data), headers: responseHeaders };
+    },
+
+    /**
+     * Images up to 384px on both sides cost 258 tokens. Larger images are
+     * split into 768x768 tiles of 258 tokens each.
+     */
+    estimateImageTokens(width, height) {
+      if (width <= 384 && height <= 384) {
+        return 258;
+      }
+      return Math.ceil(width / 768) * Math.ceil(height / 768) * 258;
+    },
+
+    // Gemini does not report its rate limits in response headers
+    readRateLimits() {
+      return {};
+    },
+  };
+}
+
+/**
+ * Converts a JSON schema to the OpenAPI subset Gemini accepts, which marks
+ * optional values as nullable instead of using type lists and has no
+ * additionalProperties.
+ *
+ * @param {Object} schema - The JSON schema.
+ * @returns {Object} - The Gemini schema.
+ */
+function toGeminiSchema(schema) {
+  const { additionalProperties, type, properties, items, ...rest } = schema;
+  const converted = { ...rest };
+  if (Array.isArray(type)) {
+    converted.type = type.find((name) => name !== "null");
+    converted.nullable = type.includes("null");
+  } else {
+    converted.type = type;
+  }
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([name, property]) => [name, toGeminiSchema(property)])
+    );
+  }
+  if (items) {
+    converted.items = toGeminiSchema(items);
+  }
+  return converted;
+}
+
+/**
+ * Normalizes a generateContent response. A prompt blocked before any
+ * candidate was generated is reported as filtered content.
+ *
+ * @param {Object} data - The generateContent response body.
+ * @returns {{text: string, finishReason: string, usage: Object, raw: Object}}
+ */
+function parseGenerateContent(data) {
+  const candidate = data.candidates && data.candidates[0];
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  const texts = parts.filter((part) => typeof part.text === "string");
+
+  let finishReason = null;
+  if (candidate) {
+    finishReason = FINISH_REASONS[candidate.finishReason] || candidate.finishReason || null;
+  } else if (data.promptFeedback && data.promptFeedback.blockReason) {
+    finishReason = "content_filter";
+  }
+
+  return {
+    text: texts.length > 0 ? texts.map((part) => part.text).join("") : null,
+    finishReason,
+    usage: data.usageMetadata
+      ? {
+          inputTokens: data.usageMetadata.promptTokenCount,
+          outputTokens: data.usageMetadata.candidatesTokenCount,
+          imageTokens: readImageTokens(data.usageMetadata),
+        }
+      : null,
+    raw: data,
+  };
+}
+
+// Gemini breaks prompt tokens down by modality; the other providers only report the total
+function readImageTokens(usageMetadata) {
+  const details = (usageMetadata.promptTokensDetails || []).find(({ modality }) => modality === "IMAGE");
+  return details ? details.tokenCount : null;
+}
+
+function toPart(part) {
+  if (part.type === "image") {
+    return { inline_data: { mime_type: part.image.mimeType, data: part.image.base64 } };
+  }
+  return { text: part.text };
+}
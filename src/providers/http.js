@@ -0,0 +1,113 @@
+import fetch, { AbortError, FetchError } from "node-fetch";
+
+// Codes of the socket errors a request can fail with before an answer arrives
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+]);
+
+/**
+ * Thrown when a provider answers with a non-2xx status. Keeps the status and
+ * response headers so callers can decide whether and when to retry.
+ */
+export class ProviderHttpError extends Error {
+  constructor(action, response, details) {
+    super(
+      `Failed to ${action}: ${response.status} ${response.statusText}. Details: ${JSON.stringify(details)}`
+    );
+    this.name = "ProviderHttpError";
+    this.status = response.status;
+    this.headers = response.headers;
+    this.details = details;
+  }
+}
+
+/**
+ * Decides whether a request the API rejected is worth sending again. Rate
+ * limits, timeouts, conflicts and server errors are; other rejections such as
+ * a bad request or an invalid API key are not.
+ *
+ * @param {number} status - The HTTP status the request was rejected with.
+ * @returns {boolean} - True if the request should be retried.
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Decides whether a request failed on its way to or from the API, as when the
+ * connection is reset or times out, rather than because of what was sent.
+ *
+ * @param {Error} error - The error the request failed with.
+ * @returns {boolean} - True for errors of fetch and of the socket.
+ */
+export function isNetworkError(error) {
+  return error instanceof FetchError || error instanceof AbortError || NETWORK_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Sends a request and parses the JSON response.
+ *
+ * @param {string} url - The URL to request.
+ * @param {Object} options - Options passed to fetch (method, headers, body).
+ * @param {string} action - What the request does, used in error messages (e.g. "create batch").
+ * @param {Function} [transport=fetch] - Sends the request, e.g. a cassette transport.
+ * @returns {Promise<{data: Object, headers: Headers}>} - The parsed body and the response headers.
+ * @throws {ProviderHttpError} - If the response status is not 2xx.
+ */
+export async function requestJson(url, options, action, transport = fetch) {
+  const response = await transport(url, options);
+  if (!response.ok) {
+    throw new ProviderHttpError(action, response, await readErrorBody(response));
+  }
+  return { data: await response.json(), headers: response.headers };
+}
+
+/**
+ * Sends a request and returns the response body as text.
+ *
+ * @param {string} url - The URL to request.
+ * @param {Object} options - Options passed to fetch (method, headers, body).
+ * @param {string} action - What the request does, used in error messages.
+ * @param {Function} [transport=fetch] - Sends the request, e.g. a cassette transport.
+ * @returns {Promise<string>} - The response body.
+ * @throws {ProviderHttpError} - If the response status is not 2xx.
+ */
+export async function requestText(url, options, action, transport = fetch) {
+  const response = await transport(url, options);
+  if (!response.ok) {
+    throw new ProviderHttpError(action, response, await readErrorBody(response));
+  }
+  return await response.text();
+}
+
+async function readErrorBody(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Reads a numeric response header.
+ *
+ * @param {Headers} headers - The response headers.
+ * @param {string} name - The header name.
+ * @returns {number|undefined} - The value, or undefined if the header is missing or not a number.
+ */
+export function readNumberHeader(headers, name) {
+  const value = headers.get(name);
+  if (value === null || value.trim() === "" || Number.isNaN(Number(value))) {
+    return undefined;
+  }
+  return Number(value);
+}
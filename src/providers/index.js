@@ -0,0 +1,104 @@
+import { createAnthropicProvider } from "./anthropic.js";
+import { createAzureProvider } from "./azure.js";
+import { createCassetteTransport } from "./cassette.js";
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { logger } from "../utils/logger.js";
+
+// Every provider, mapped to its factory and the environment variable holding its API key
+const PROVIDERS = {
+  openai: { create: createOpenAIProvider, apiKeyEnv: "OPENAI_API_KEY" },
+  azure: { create: createAzureProvider, apiKeyEnv: "AZURE_OPENAI_API_KEY" },
+  anthropic: { create: createAnthropicProvider, apiKeyEnv: "ANTHROPIC_API_KEY" },
+  gemini: { create: createGeminiProvider, apiKeyEnv: "GEMINI_API_KEY" },
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Creates the vision provider that all requests go through.
+ *
+ * Every provider exposes the same methods: listModels, buildRequestBody,
+ * complete, estimateImageTokens and readRateLimits, plus the batch methods
+ * (toBatchLine, uploadBatchFile, createBatch, getBatch, listBatches,
+ * cancelBatch, downloadFile, deleteFile, parseBatchResult) when
+ * `supportsBatch` is true. Completions are normalized to
+ * { text, finishReason, usage, raw, headers } whatever the provider, with
+ * finish reasons mapped to "stop", "length" or "content_filter" and an
+ * optional `refusal` when the API reports one separately. Usage is
+ * { inputTokens, outputTokens }, with `imageTokens` when the API breaks the
+ * input down. buildRequestBody puts the `context` parts (text and encoded
+ * reference images) ahead of the prompt and image, in the same message.
+ *
+ * With `record` set, every request and response is saved to that cassette
+ * directory. With `replay` set, the responses saved there are served instead
+ * of calling the network, no API key is needed and the provider's `replaying`
+ * flag is set so that nothing waits on the real API. With `dryRun` set, no
+ * API key is needed either, and any request is an error.
+ *
+ * @param {Object} settings
+ * @param {string} settings.provider - One of PROVIDER_NAMES.
+ * @param {string} [settings.baseUrl] - Overrides the provider's API base URL.
+ * @param {boolean} [settings.batchApi] - Whether the server at `baseUrl` offers the Batch API (OpenAI only).
+ * @param {string} [settings.apiVersion] - API version, used by Azure.
+ * @param {string} [settings.record] - Cassette directory to record API traffic to.
+ * @param {string} [settings.replay] - Cassette directory to replay API traffic from.
+ * @param {boolean} [settings.dryRun] - Whether the provider is only used to build requests.
+ * @param {Object} [env=process.env] - Where to read the API key from.
+ * @returns {Object} - The provider.
+ */
+export function createProvider(
+  { provider, baseUrl, batchApi, apiVersion, record, replay, dryRun },
+  env = process.env
+) {
+  const entry = PROVIDERS[provider];
+  if (!entry) {
+    throw new Error(
+      `Unknown provider "${provider}". Available providers: ${PROVIDER_NAMES.join(", ")}`
+    );
+  }
+
+  if (record && replay) {
+    throw new Error("--record and --replay cannot be used together.");
+  }
+  let transport;
+  if (dryRun) {
+    transport = refuseRequest;
+  } else if (record || replay) {
+    transport = createCassetteTransport({ mode: record ? "record" : "replay", dir: record || replay });
+  }
+
+  const apiKey = env[entry.apiKeyEnv] ? env[entry.apiKeyEnv].trim() : "";
+  const instance = entry.create({ apiKey, baseUrl, batchApi, apiVersion, transport });
+  instance.replaying = Boolean(replay);
+  if (instance.requiresApiKey && apiKey === "" && !replay && !dryRun) {
+    throw new Error(
+      `${entry.apiKeyEnv} is not set. Please set this environment variable and try again.`
+    );
+  }
+  return instance;
+}
+
+/**
+ * Checks whether a model can be used with a provider.
+ *
+ * @param {Object} provider - The provider.
+ * @param {string} modelId - The model ID.
+ * @returns {Promise<boolean>} - False if the provider lists its models and the model is not among them.
+ */
+export async function providerHasModel(provider, modelId) {
+  const models = await provider.listModels();
+  if (models === null) {
+    logger.log(`The ${provider.name} provider cannot list its models; skipping the check for ${modelId}.`);
+    return true;
+  }
+  if (models.length === 0) {
+    logger.log("Error: No access to models with this API key.");
+    return false;
+  }
+  return models.some((id) => id.toLowerCase() === modelId.toLowerCase());
+}
+
+async function refuseRequest(url) {
+  throw new Error(`A dry run sends no requests, but one was about to be sent to ${url}.`);
+}
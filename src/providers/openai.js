@@ -0,0 +1,327 @@
+import fs from "fs";
+import FormData from "form-data";
+import { toDataUrl } from "../utils/imageEncoder.js";
+import { lookupModel } from "../utils/pricing.js";
+import { parseDurationMs } from "../utils/rateLimiter.js";
+import { readNumberHeader, requestJson, requestText } from "./http.js";
+
+export const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+// Tokens per image: every image costs `base` tokens, plus `tile` tokens for each
+// 512px tile at high detail. Find them here: https://platform.openai.com/docs/guides/vision
+const IMAGE_TOKEN_RATES = {
+  "gpt-4o-mini": { base: 2833, tile: 5667 },
+};
+const DEFAULT_IMAGE_TOKEN_RATE = { base: 85, tile: 170 };
+
+/**
+ * Creates a provider for the OpenAI API or any server that implements the
+ * OpenAI chat completions API, such as llama.cpp, Ollama or vLLM.
+ *
+ * @param {Object} settings
+ * @param {string} [settings.apiKey] - API key, sent as a bearer token. Local servers usually need none.
+ * @param {string} [settings.baseUrl] - Base URL including the version path, e.g. "http://localhost:11434/v1".
+ * @param {boolean} [settings.batchApi=false] - Whether a server at another base URL implements the files and
+ *   batches APIs. Most local servers do not, so batch processing is only offered for them when this is set.
+ * @param {Function} [settings.transport] - Sends HTTP requests, as taken by requestJson.
+ * @returns {Object} - The provider.
+ */
+export function createOpenAIProvider({ apiKey, baseUrl = OPENAI_BASE_URL, batchApi = false, transport }) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const isOpenAI = root === OPENAI_BASE_URL;
+
+  return createChatCompletionsProvider({
+    name: "openai",
+    defaultModel: isOpenAI ? "gpt-4o" : undefined,
+    requiresApiKey: isOpenAI,
+    supportsBatch: isOpenAI || batchApi,
+    url: (path) => `${root}${path}`,
+    chatCompletionsUrl: () => `${root}/chat/completions`,
+    authHeaders: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    batchEndpoint: "/v1/chat/completions",
+    transport,
+  });
+}
+
+/**
+ * Builds a provider around the OpenAI chat completions, files and batches
+ * APIs. Shared by the OpenAI and Azure OpenAI providers, which differ only in
+ * their URLs and authentication.
+ *
+ * @param {Object} settings
+ * @param {string} settings.name - Name of the provider.
+ * @param {string} [settings.defaultModel] - Model used when none is configured.
+ * @param {boolean} settings.requiresApiKey - Whether requests fail without an API key.
+ * @param {boolean} settings.supportsBatch - Whether the files and batches APIs are available.
+ * @param {Function} settings.url - Maps an API path such as "/files" to a full URL.
+ * @param {Function} settings.chatCompletionsUrl - Returns the chat completions URL for a model.
+ * @param {Object} settings.authHeaders - Headers that authenticate a request.
+ * @param {string} settings.batchEndpoint - The endpoint batch requests are sent to.
+ * @param {Function} [settings.listModels] - Overrides how available models are listed.
+ * @param {Function} [settings.transport] - Sends HTTP requests, as taken by requestJson.
+ * @returns {Object} - The provider.
+ */
+export function createChatCompletionsProvider({
+  name,
+  defaultModel,
+  requiresApiKey,
+  supportsBatch,
+  url,
+  chatCompletionsUrl,
+  authHeaders,
+  batchEndpoint,
+  listModels,
+  transport,
+}) {
+  const jsonHeaders = { ...authHeaders, "Content-Type": "application/json" };
+
+  return {
+    name,
+    defaultModel,
+    requiresApiKey,
+    supportsBatch,
+
+    async listModels() {
+      if (listModels) {
+        return await listModels();
+      }
+      const { data } = await requestJson(
+        url("/models"),
+        { method: "GET", headers: jsonHeaders },
+        "list models",
+        transport
+      );
+      return data.data.map((model) => model.id);
+    },
+
+    buildRequestBody({ prompt, image, context = [], modelId, fidelity, maxTokens, responseSchema }) {
+      const body = {
+        model: modelId,
+        messages: [
+          {
+            role: "user",
+            content: [
+              ...context.map((part) => toContentPart(part, fidelity)),
+              {
+                type: "text",
+                text: prompt,
+              },
+              {
+                type: "image_url",
+                image_url: {
+                  url: toDataUrl(image),
+                  detail: fidelity,
+                },
+              },
+            ],
+          },
+        ],
+        max_tokens: maxTokens,
+      };
+      if (responseSchema) {
+        body.response_format = {
+          type: "json_schema",
+          json_schema: { name: responseSchema.name, strict: true, schema: responseSchema.schema },
+        };
+      }
+      return body;
+    },
+
+    async complete(modelId, body) {
+      const { data, headers } = await requestJson(
+        chatCompletionsUrl(modelId),
+        { method: "POST", headers: jsonHeaders, body: JSON.stringify(body) },
+        "create chat completion",
+        transport
+      );
+      return { ...parseChatCompletion(data), headers };
+    },
+
+    estimateImageTokens,
+
+    readRateLimits(headers) {
+      return {
+        limitRequests: readNumberHeader(headers, "x-ratelimit-limit-requests"),
+        limitTokens: readNumberHeader(headers, "x-ratelimit-limit-tokens"),
+        remainingRequests: readNumberHeader(headers, "x-ratelimit-remaining-requests"),
+        remainingTokens: readNumberHeader(headers, "x-ratelimit-remaining-tokens"),
+        resetRequestsMs: parseDurationMs(headers.get("x-ratelimit-reset-requests")),
+        resetTokensMs: parseDurationMs(headers.get("x-ratelimit-reset-tokens")),
+      };
+    },
+
+    toBatchLine(customId, body) {
+      return { custom_id: customId, method: "POST", url: batchEndpoint, body };
+    },
+
+    async uploadBatchFile(filePath) {
+      const formData = new FormData();
+      formData.append("file", fs.createReadStream(filePath));
+      formData.append("purpose", "batch");
+
+      const { data } = await requestJson(
+        url("/files"),
+        {
+          method: "POST",
+          headers: { ...authHeaders, ...formData.getHeaders() },
+          body: formData,
+        },
+        "upload batch file",
+        transport
+      );
+      return data.id;
+    },
+
+    async createBatch(fileId) {
+      const { data } = await requestJson(
+        url("/batches"),
+        {
+          method: "POST",
+          headers: jsonHeaders,
+          body: JSON.stringify({
+            input_file_id: fileId,
+            endpoint: batchEndpoint,
+            completion_window: "24h",
+          }),
+        },
+        "create batch",
+        transport
+      );
+      return data.id;
+    },
+
+    async getBatch(batchId) {
+      const { data } = await requestJson(
+        url(`/batches/${batchId}`),
+        { method: "GET", headers: jsonHeaders },
+        "check batch status",
+        transport
+      );
+      return data;
+    },
+
+    async listBatches(limit) {
+      const listUrl = url("/batches");
+      const { data } = await requestJson(
+        `${listUrl}${listUrl.includes("?") ? "&" : "?"}limit=${limit}`,
+        { method: "GET", headers: jsonHeaders },
+        "list batches",
+        transport
+      );
+      return data.data;
+    },
+
+    async cancelBatch(batchId) {
+      const { data } = await requestJson(
+        url(`/batches/${batchId}/cancel`),
+        { method: "POST", headers: jsonHeaders },
+        "cancel batch",
+        transport
+      );
+      return data;
+    },
+
+    async deleteFile(fileId) {
+      await requestJson(
+        url(`/files/${fileId}`),
+        { method: "DELETE", headers: authHeaders },
+        "delete file",
+        transport
+      );
+    },
+
+    async downloadFile(fileId) {
+      return await requestText(
+        url(`/files/${fileId}/content`),
+        { method: "GET", headers: authHeaders },
+        "download file",
+        transport
+      );
+    },
+
+    parseBatchResult(line) {
+      const status = line.response ? line.response.status_code : null;
+      // A request the API rejected has a response, but its body is an error
+      if (status >= 400) {
+        return {
+          customId: line.custom_id,
+          status,
+          error: line.response.body.error || { message: `The request failed with status ${status}.` },
+          completion: null,
+        };
+      }
+      return {
+        customId: line.custom_id,
+        status,
+        error: line.error || null,
+        completion: line.response ? parseChatCompletion(line.response.body) : null,
+      };
+    },
+  };
+}
+
+/**
+ * Normalizes a chat completion response. A refusal reported by the model in
+ * the `refusal` field of its message is passed on as `refusal`.
+ *
+ * @param {Object} data - The chat completion response body.
+ * @returns {{text: string, finishReason: string, refusal: string|null, usage: Object, raw: Object}}
+ */
+function parseChatCompletion(data) {
+  const choice = data.choices && data.choices[0];
+  const message = (choice && choice.message) || {};
+  return {
+    text: typeof message.content === "string" ? message.content : null,
+    finishReason: choice ? choice.finish_reason : null,
+    refusal: message.refusal || null,
+    usage: data.usage
+      ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens }
+      : null,
+    raw: data,
+  };
+}
+
+/**
+ * Calculates the tokens an image costs at a given detail level.
+ *
+ * At low detail an image costs a flat base amount. At high detail it is scaled
+ * to fit within 2048x2048, then scaled so its shortest side is at most 768px,
+ * and every 512px tile it covers is added on top of the base. Auto is priced
+ * as high, which is what the API picks for all but the smallest images.
+ *
+ * @param {number} width - Width of the image in pixels.
+ * @param {number} height - Height of the image in pixels.
+ * @param {string} fidelity - The fidelity level (low, high, auto).
+ * @param {string} modelId - The model ID.
+ * @returns {number} - The image tokens.
+ */
+function estimateImageTokens(width, height, fidelity, modelId) {
+  const rate = lookupModel(IMAGE_TOKEN_RATES, modelId) || DEFAULT_IMAGE_TOKEN_RATE;
+  if (fidelity === "low") {
+    return rate.base;
+  }
+
+  let scaledWidth = width;
+  let scaledHeight = height;
+  if (Math.max(scaledWidth, scaledHeight) > 2048) {
+    const scale = 2048 / Math.max(scaledWidth, scaledHeight);
+    scaledWidth *= scale;
+    scaledHeight *= scale;
+  }
+  if (Math.min(scaledWidth, scaledHeight) > 768) {
+    const scale = 768 / Math.min(scaledWidth, scaledHeight);
+    scaledWidth *= scale;
+    scaledHeight *= scale;
+  }
+
+  const tiles = Math.ceil(scaledWidth / 512) * Math.ceil(scaledHeight / 512);
+  return rate.base + rate.tile * tiles;
+}
+
+// Reference images are sent at the same detail level as the image to caption
+function toContentPart(part, fidelity) {
+  if (part.type === "image") {
+    return { type: "image_url", image_url: { url: toDataUrl(part.image), detail: fidelity } };
+  }
+  return { type: "text", text: part.text };
+}
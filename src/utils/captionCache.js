@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Creates a cache of finished captions keyed by image content.
+ *
+ * A key covers the image bytes and every setting that changes the request
+ * or which replies are accepted (provider, model, prompt, fidelity, token
+ * limit and response policies), so a cached caption is only reused when
+ * asking again would produce the same request. Captions are stored as
+ * the model returned them, before post-processing.
+ * Each entry is stored as its own JSON file, which keeps concurrent writes
+ * from clobbering each other.
+ *
+ * @param {Object} params
+ * @param {string} params.dir - Folder the cache is stored in.
+ * @param {boolean} params.enabled - When false, nothing is read or written.
+ * @param {Object} params.settings - The settings that produced the captions.
+ * @returns {{keyFor: Function, get: Function, set: Function}} - The cache.
+ */
+export function createCaptionCache({ dir, enabled, settings }) {
+  const settingsHash = hashString(JSON.stringify(settings));
+
+  function entryPath(key) {
+    return path.join(dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  return {
+    enabled,
+
+    /**
+     * Computes the cache key of an image.
+     *
+     * @param {string} imagePath - Path to the image.
+     * @param {Object} [overrides] - Settings that differ per image, such as its prompt.
+     * @returns {string|null} - The key, or null if the cache is disabled or the image cannot be read.
+     */
+    keyFor(imagePath, overrides) {
+      if (!enabled) {
+        return null;
+      }
+      try {
+        const hash = overrides ? hashString(JSON.stringify({ ...settings, ...overrides })) : settingsHash;
+        return hashString(`${hashFile(imagePath)}:${hash}`);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Looks up a cached caption.
+     *
+     * @param {string|null} key - The cache key.
+     * @returns {string|null} - The caption, or null on a miss.
+     */
+    get(key) {
+      if (!enabled || !key) {
+        return null;
+      }
+      try {
+        return JSON.parse(fs.readFileSync(entryPath(key), "utf8")).caption;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Stores a caption.
+     *
+     * @param {string|null} key - The cache key.
+     * @param {string} caption - The model's answer, before post-processing.
+     * @param {string} imagePath - The image it belongs to, kept for reference.
+     */
+    set(key, caption, imagePath) {
+      if (!enabled || !key) {
+        return;
+      }
+      const filePath = entryPath(key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify({
+          caption,
+          imagePath,
+          model: settings.modelId,
+          createdAt: new Date().toISOString(),
+        })
+      );
+    },
+  };
+}
+
+/**
+ * Computes the SHA-256 hash of a file's contents.
+ *
+ * @param {string} filePath - Path to the file.
+ * @returns {string} - The hex digest.
+ */
+export function hashFile(filePath) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+function hashString(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
@@ -0,0 +1,157 @@
+import fs from "fs";
+import path from "path";
+import { hashFile } from "./captionCache.js";
+
+// Sent before the reference images, so the model knows what they are for
+const REFERENCES_INTRO =
+  "The following reference images show subjects that may appear in the image to caption. " +
+  "Whenever one of them appears, call it by its name.";
+
+// Sent before the example captions, so the model copies their style rather than their content
+const EXAMPLES_INTRO =
+  "The following example images are captioned the way the image to caption should be captioned. " +
+  "Match their style, wording and length, but describe only what is in the image to caption.";
+
+// Separates the shared context from the request itself
+const CONTEXT_END = "End of the reference material. The image to caption and the instructions follow.";
+
+/**
+ * Reads a context file: reference images of the subjects of a dataset, each
+ * with the name captions should use, and example image/caption pairs that
+ * show how captions should be written. Both lists are optional, but at least
+ * one must have an entry:
+ * ```json
+ * {
+ *   "references": [{ "name": "Aiko", "description": "a woman with short silver hair", "images": ["aiko.png"] }],
+ *   "examples": [{ "image": "example1.png", "caption": "Aiko sitting on a bench, ..." }]
+ * }
+ * ```
+ * Image paths are relative to the folder of the context file.
+ *
+ * @param {string} contextFile - Path to the context file.
+ * @returns {{references: Object[], examples: Object[]}} - The context, with absolute image paths.
+ * @throws {Error} - If the file cannot be read, is not valid or names an image that does not exist.
+ */
+export function loadCaptionContext(contextFile) {
+  if (!fs.existsSync(contextFile)) {
+    throw new Error(`Context file "${contextFile}" does not exist.`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(contextFile, "utf8"));
+  } catch (error) {
+    throw new Error(`Context file "${contextFile}" is not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Context file "${contextFile}" must hold an object with "references" and "examples".`);
+  }
+  const folder = path.dirname(path.resolve(contextFile));
+  const resolveImage = (imagePath, where) => {
+    if (typeof imagePath !== "string" || imagePath === "") {
+      throw new Error(`${where} in ${contextFile} must be the path of an image.`);
+    }
+    const resolved = path.resolve(folder, imagePath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`${where} in ${contextFile} does not exist: ${resolved}`);
+    }
+    return resolved;
+  };
+
+  const { references = [], examples = [], ...unknown } = data;
+  const [unknownKey] = Object.keys(unknown);
+  if (unknownKey) {
+    throw new Error(`Unknown key "${unknownKey}" in ${contextFile}. Expected "references" and "examples".`);
+  }
+  if (!Array.isArray(references) || !Array.isArray(examples)) {
+    throw new Error(`"references" and "examples" in ${contextFile} must be arrays.`);
+  }
+  if (references.length === 0 && examples.length === 0) {
+    throw new Error(`Context file "${contextFile}" has no references and no examples.`);
+  }
+
+  return {
+    references: references.map((reference, index) => {
+      const where = `Reference ${index + 1}`;
+      if (typeof reference.name !== "string" || reference.name.trim() === "") {
+        throw new Error(`${where} in ${contextFile} must have a "name".`);
+      }
+      if (reference.description !== undefined && typeof reference.description !== "string") {
+        throw new Error(`The "description" of ${where.toLowerCase()} in ${contextFile} must be a string.`);
+      }
+      if (!Array.isArray(reference.images) || reference.images.length === 0) {
+        throw new Error(`${where} in ${contextFile} must list at least one image in "images".`);
+      }
+      return {
+        name: reference.name.trim(),
+        description: reference.description ? reference.description.trim() : null,
+        images: reference.images.map((imagePath, imageIndex) =>
+          resolveImage(imagePath, `Image ${imageIndex + 1} of ${where.toLowerCase()}`)
+        ),
+      };
+    }),
+    examples: examples.map((example, index) => {
+      const where = `Example ${index + 1}`;
+      if (typeof example.caption !== "string" || example.caption.trim() === "") {
+        throw new Error(`${where} in ${contextFile} must have a "caption".`);
+      }
+      return {
+        image: resolveImage(example.image, `The image of ${where.toLowerCase()}`),
+        caption: example.caption.trim(),
+      };
+    }),
+  };
+}
+
+/**
+ * Lays out a context as the parts sent before every request: an
+ * introduction and the images of every reference, then the examples with
+ * their captions. Images are given by path; the providers turn the parts
+ * into their own message format once the images are encoded.
+ *
+ * @param {Object|null} context - The context, as returned by loadCaptionContext, or null for none.
+ * @returns {Array<{type: string, text?: string, path?: string}>} - "text" and "image" parts, in order.
+ */
+export function getContextParts(context) {
+  if (!context) {
+    return [];
+  }
+  const parts = [];
+  if (context.references.length > 0) {
+    parts.push({ type: "text", text: REFERENCES_INTRO });
+    for (const { name, description, images } of context.references) {
+      parts.push({ type: "text", text: description ? `Reference "${name}": ${description}` : `Reference "${name}"` });
+      for (const imagePath of images) {
+        parts.push({ type: "image", path: imagePath });
+      }
+    }
+  }
+  if (context.examples.length > 0) {
+    parts.push({ type: "text", text: EXAMPLES_INTRO });
+    context.examples.forEach(({ image, caption }, index) => {
+      parts.push({ type: "text", text: `Example ${index + 1}:` });
+      parts.push({ type: "image", path: image });
+      parts.push({ type: "text", text: `Caption: ${caption}` });
+    });
+  }
+  parts.push({ type: "text", text: CONTEXT_END });
+  return parts;
+}
+
+/**
+ * Describes a context for the caption cache by what is sent: the names,
+ * descriptions and captions, and the content of every image instead of its
+ * path, so replacing a reference image in place changes the cache keys.
+ *
+ * @param {Object} context - The context, as returned by loadCaptionContext.
+ * @returns {Object} - The context with a SHA-256 hash in place of every image path.
+ */
+export function getContextCacheSettings(context) {
+  return {
+    references: context.references.map(({ name, description, images }) => ({
+      name,
+      description,
+      images: images.map(hashFile),
+    })),
+    examples: context.examples.map(({ image, caption }) => ({ image: hashFile(image), caption })),
+  };
+}
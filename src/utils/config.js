@@ -0,0 +1,250 @@
+import fs from "fs";
+import { OUTPUT_LAYOUTS } from "./dataset.js";
+import { validatePostProcessingSteps } from "./postProcessing.js";
+import { TAG_STYLES } from "./tags.js";
+import { EXPORT_FORMATS } from "./exporters.js";
+import { validateResponsePolicies } from "./responseValidation.js";
+import { PREPROCESS_FORMATS } from "./imageEncoder.js";
+
+// Default config file, looked up in the current working directory
+export const DEFAULT_CONFIG_PATH = "./captioner.config.json";
+
+// Values used when neither a flag, the config file nor a profile sets them
+export const DEFAULT_OPTIONS = {
+  images: "./images",
+  output: "./output",
+  recursive: true,
+  include: [],
+  exclude: [],
+  outputLayout: "mirror",
+  captionFiles: true,
+  export: [],
+  promptFile: "./prompt.txt",
+  refinePromptFile: "./refine_prompt.txt",
+  refineFrom: ["caption", "txt"],
+  mode: "caption",
+  tagStyle: "space",
+  tagWhitelist: [],
+  tagBlacklist: [],
+  provider: "openai",
+  preprocess: false,
+  imageFormat: "jpeg",
+  imageQuality: 85,
+  expectedOutputTokens: 100,
+  batchMaxRequests: 50000,
+  resubmitUnfinished: "batch",
+  concurrency: 4,
+  maxAttempts: 3,
+  maxTokens: 512,
+  responsePolicies: {},
+  cache: true,
+  cacheDir: "./.caption-cache",
+  log: true,
+  quiet: false,
+  postProcessing: [],
+  triggerWords: [],
+  escape: true,
+};
+
+// Every option that can be set from a flag, the config defaults or a profile,
+// mapped to the type (or list of allowed values) it must have, or to a
+// function that validates it, called with the value, where it came from and its name.
+const OPTION_TYPES = {
+  images: "string",
+  output: "string",
+  recursive: "boolean",
+  include: "string[]",
+  exclude: "string[]",
+  outputLayout: OUTPUT_LAYOUTS,
+  captionFiles: "boolean",
+  export: validateExportFormats,
+  exportDir: "string",
+  promptFile: "string",
+  contextFile: "string",
+  refinePromptFile: "string",
+  refineFrom: "string[]",
+  mode: ["caption", "tags", "refine"],
+  tagStyle: TAG_STYLES,
+  tagWhitelist: "string[]",
+  tagBlacklist: "string[]",
+  maxTags: validatePositiveInteger,
+  model: "string",
+  provider: ["openai", "azure", "anthropic", "gemini"],
+  baseUrl: "string",
+  batchApi: "boolean",
+  apiVersion: "string",
+  record: "string",
+  replay: "string",
+  ext: ["txt", "caption"],
+  fidelity: ["low", "high", "auto"],
+  preprocess: "boolean",
+  maxEdge: validatePositiveInteger,
+  imageFormat: PREPROCESS_FORMATS,
+  imageQuality: validateImageQuality,
+  batch: "boolean",
+  batchMaxRequests: validatePositiveInteger,
+  batchMaxTokens: validatePositiveInteger,
+  resubmitUnfinished: ["batch", "sync", "none"],
+  overwrite: "boolean",
+  yes: "boolean",
+  expectedOutputTokens: validatePositiveInteger,
+  budget: validatePositiveNumber,
+  concurrency: validatePositiveInteger,
+  requestsPerMinute: validatePositiveInteger,
+  tokensPerMinute: validatePositiveInteger,
+  maxAttempts: validatePositiveInteger,
+  maxTokens: validatePositiveInteger,
+  responsePolicies: validateResponsePolicies,
+  alternatePromptFile: "string",
+  cache: "boolean",
+  cacheDir: "string",
+  log: "boolean",
+  logFile: "string",
+  quiet: "boolean",
+  postProcessing: validatePostProcessingSteps,
+  triggerWords: "string[]",
+  escape: "boolean",
+};
+
+// Options that only apply to the run they are given to, so they can be set
+// from a flag or by a library caller but not in the config file
+const RUN_OPTION_TYPES = {
+  resume: "boolean",
+  exportOnly: "boolean",
+  retryFailed: "boolean",
+  dryRun: "boolean",
+};
+
+/**
+ * Reads the project config file.
+ *
+ * The file is optional: a missing file at the default location yields an empty
+ * config, but a missing file that was explicitly requested is an error.
+ *
+ * @param {string} configPath - Path to the config file.
+ * @param {boolean} [required=false] - Whether the file must exist.
+ * @returns {Object} - The parsed config, with `defaults` and `profiles` sections.
+ */
+export function loadConfig(configPath = DEFAULT_CONFIG_PATH, required = false) {
+  if (!fs.existsSync(configPath)) {
+    if (required) {
+      throw new Error(`Config file "${configPath}" does not exist.`);
+    }
+    return { defaults: {}, profiles: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Config file "${configPath}" is not valid JSON: ${error.message}`);
+  }
+
+  const defaults = config.defaults || {};
+  const profiles = config.profiles || {};
+  validateOptionTypes(defaults, `"defaults" in ${configPath}`, OPTION_TYPES);
+  for (const [name, profile] of Object.entries(profiles)) {
+    validateOptionTypes(profile, `profile "${name}" in ${configPath}`, OPTION_TYPES);
+  }
+
+  return { defaults, profiles };
+}
+
+/**
+ * Merges run options in order of precedence: built-in defaults, the config
+ * file defaults, the selected profile and finally command-line flags.
+ *
+ * @param {Object} config - The config returned by loadConfig.
+ * @param {string|undefined} profileName - The profile to apply, if any.
+ * @param {Object} cliOptions - Options given on the command line. Unset flags must be undefined.
+ * @returns {Object} - The merged options. Choices nobody made stay undefined.
+ * @throws {Error} - If the profile does not exist, or a flag is unknown or has a value of the wrong type.
+ */
+export function resolveOptions(config, profileName, cliOptions) {
+  const flags = withoutUndefined(cliOptions);
+  validateOptions(flags, "command-line flags");
+  let profile = {};
+  if (profileName) {
+    profile = config.profiles[profileName];
+    if (!profile) {
+      const known = Object.keys(config.profiles);
+      throw new Error(
+        `Unknown profile "${profileName}". ` +
+          (known.length > 0 ? `Available profiles: ${known.join(", ")}` : "No profiles are defined.")
+      );
+    }
+  }
+
+  return {
+    ...DEFAULT_OPTIONS,
+    ...config.defaults,
+    ...profile,
+    ...flags,
+  };
+}
+
+/**
+ * Throws if the options of a run contain unknown keys or values of the wrong
+ * type. Takes the options of the config file and those that only apply to a
+ * single run, such as `resume` and `dryRun`.
+ *
+ * @param {Object} options - The options to check. Undefined values must be left out.
+ * @param {string} source - Where the options came from, used in error messages.
+ */
+export function validateOptions(options, source) {
+  validateOptionTypes(options, source, { ...OPTION_TYPES, ...RUN_OPTION_TYPES });
+}
+
+function validateOptionTypes(options, source, optionTypes) {
+  for (const [key, value] of Object.entries(options)) {
+    const expected = optionTypes[key];
+    if (!expected) {
+      throw new Error(`Unknown option "${key}" in ${source}.`);
+    }
+    if (typeof expected === "function") {
+      expected(value, source, key);
+    } else if (Array.isArray(expected)) {
+      if (!expected.includes(value)) {
+        throw new Error(`Option "${key}" in ${source} must be one of: ${expected.join(", ")}.`);
+      }
+    } else if (expected === "string[]") {
+      if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+        throw new Error(`Option "${key}" in ${source} must be an array of strings.`);
+      }
+    } else if (typeof value !== expected) {
+      throw new Error(`Option "${key}" in ${source} must be a ${expected}.`);
+    }
+  }
+}
+
+function validateExportFormats(formats, source) {
+  if (!Array.isArray(formats) || formats.some((format) => !EXPORT_FORMATS.includes(format))) {
+    throw new Error(
+      `Option "export" in ${source} must be an array of: ${EXPORT_FORMATS.join(", ")}.`
+    );
+  }
+}
+
+function validateImageQuality(quality, source) {
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new Error(`Option "imageQuality" in ${source} must be a whole number from 1 to 100.`);
+  }
+}
+
+function validatePositiveInteger(value, source, key) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Option "${key}" in ${source} must be a whole number of at least 1.`);
+  }
+}
+
+function validatePositiveNumber(value, source, key) {
+  if (typeof value !== "number" || !(value > 0) || value === Infinity) {
+    throw new Error(`Option "${key}" in ${source} must be a number greater than 0.`);
+  }
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
@@ -0,0 +1,218 @@
+import path from "path";
+import sizeOf from "image-size";
+import { formatUSD, tokensToUSD } from "./pricing.js";
+import { getContextParts } from "./captionContext.js";
+import { logger } from "./logger.js";
+
+// Tokens added by the chat message format around every request
+const REQUEST_OVERHEAD_TOKENS = 7;
+
+// Size assumed for images whose dimensions cannot be read, which is the most a
+// high detail OpenAI image can cost after scaling
+const FALLBACK_DIMENSIONS = { width: 2048, height: 2048 };
+
+/**
+ * Roughly estimates the tokens in a piece of English text (about 4 characters per token).
+ *
+ * @param {string} text - The text.
+ * @returns {number} - The estimated tokens.
+ */
+export function estimateTextTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimates the input tokens of a request to caption one image: the image
+ * itself, the prompt, the reference images and examples sent with every
+ * request and the message format around them.
+ *
+ * @param {Object} provider - The provider, which knows how it counts image tokens
+ * @param {string} imagePath - Path to the image
+ * @param {string} prompt - The prompt to use for captioning
+ * @param {string} modelId - The model ID to use
+ * @param {string} fidelity - The fidelity level (low, high, auto)
+ * @param {number} [maxEdge] - Longest edge the image is downsized to before it is sent, if it is preprocessed
+ * @param {Object} [context] - The reference images and examples, as returned by loadCaptionContext
+ * @returns {number} - The estimated input tokens
+ */
+export function estimateInputTokens(provider, imagePath, prompt, modelId, fidelity, maxEdge, context) {
+  const contextTokens = estimateContextTokens(provider, context, modelId, fidelity, maxEdge);
+  return (
+    estimateTextTokens(prompt) +
+    REQUEST_OVERHEAD_TOKENS +
+    estimateImageTokens(provider, imagePath, modelId, fidelity, maxEdge) +
+    contextTokens.textTokens +
+    contextTokens.imageTokens
+  );
+}
+
+/**
+ * Estimates the tokens of the reference images and examples sent with every request.
+ *
+ * @param {Object} provider - The provider, which knows how it counts image tokens
+ * @param {Object|null} context - The reference images and examples, as returned by loadCaptionContext
+ * @param {string} modelId - The model ID to use
+ * @param {string} fidelity - The fidelity level (low, high, auto)
+ * @param {number} [maxEdge] - Longest edge images are downsized to, if they are preprocessed
+ * @returns {{textTokens: number, imageTokens: number}} - The estimated tokens of the text and the images
+ */
+export function estimateContextTokens(provider, context, modelId, fidelity, maxEdge) {
+  const tokens = { textTokens: 0, imageTokens: 0 };
+  for (const part of getContextParts(context)) {
+    if (part.type === "image") {
+      tokens.imageTokens += estimateImageTokens(provider, part.path, modelId, fidelity, maxEdge);
+    } else {
+      tokens.textTokens += estimateTextTokens(part.text);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Estimates the tokens an image costs once it is sent, after any downsizing.
+ *
+ * @param {Object} provider - The provider, which knows how it counts image tokens
+ * @param {string} imagePath - Path to the image
+ * @param {string} modelId - The model ID to use
+ * @param {string} fidelity - The fidelity level (low, high, auto)
+ * @param {number} [maxEdge] - Longest edge the image is downsized to before it is sent, if it is preprocessed
+ * @returns {number} - The estimated image tokens
+ */
+export function estimateImageTokens(provider, imagePath, modelId, fidelity, maxEdge) {
+  let { width, height } = readImageDimensions(imagePath) || FALLBACK_DIMENSIONS;
+  if (maxEdge && Math.max(width, height) > maxEdge) {
+    const scale = maxEdge / Math.max(width, height);
+    width = Math.round(width * scale);
+    height = Math.round(height * scale);
+  }
+  return provider.estimateImageTokens(width, height, fidelity, modelId);
+}
+
+/**
+ * Estimates the cost of captioning a list of images, grouped by the folder
+ * each image is in.
+ *
+ * @param {Object} params
+ * @param {Object} params.provider - The provider, which knows how it counts image tokens
+ * @param {string[]} params.imagePaths - Array of paths to images
+ * @param {Map<string, string>} params.prompts - The prompt of each image
+ * @param {string} params.modelId - The model ID to use
+ * @param {string} params.fidelity - The fidelity level (low, high, auto)
+ * @param {boolean} params.isBatch - Whether the Batch API discount applies
+ * @param {number} params.expectedOutputTokens - Expected caption length in tokens
+ * @param {number} [params.maxEdge] - Longest edge images are downsized to, if they are preprocessed
+ * @param {Object} [params.context] - The reference images and examples sent with every request
+ * @returns {Object} - Per-folder rows, a total row and the count of images whose size could not be read
+ */
+export function estimateRunCost({
+  provider,
+  imagePaths,
+  prompts,
+  modelId,
+  fidelity,
+  isBatch,
+  expectedOutputTokens,
+  maxEdge,
+  context,
+}) {
+  const folders = new Map();
+  let unknownDimensions = 0;
+
+  for (const imagePath of imagePaths) {
+    if (!readImageDimensions(imagePath)) {
+      unknownDimensions++;
+    }
+
+    const folder = path.dirname(imagePath);
+    if (!folders.has(folder)) {
+      folders.set(folder, { folder, images: 0, inputTokens: 0, outputTokens: 0 });
+    }
+    const row = folders.get(folder);
+    row.images++;
+    row.inputTokens += estimateInputTokens(
+      provider,
+      imagePath,
+      prompts.get(imagePath),
+      modelId,
+      fidelity,
+      maxEdge,
+      context
+    );
+    row.outputTokens += expectedOutputTokens;
+  }
+
+  const rows = [...folders.values()];
+  const total = { folder: "Total", images: 0, inputTokens: 0, outputTokens: 0 };
+  for (const row of rows) {
+    row.usd = tokensToUSD(modelId, row.inputTokens, row.outputTokens, isBatch);
+    total.images += row.images;
+    total.inputTokens += row.inputTokens;
+    total.outputTokens += row.outputTokens;
+  }
+  total.usd = tokensToUSD(modelId, total.inputTokens, total.outputTokens, isBatch);
+
+  return { rows, total, unknownDimensions, modelId, isBatch };
+}
+
+/**
+ * Prints a cost estimate as a per-folder table followed by the total.
+ *
+ * @param {Object} estimate - The estimate returned by estimateRunCost.
+ */
+export function printCostEstimate(estimate) {
+  const { rows, total, unknownDimensions, modelId, isBatch } = estimate;
+  const header = ["Folder", "Images", "Input tokens", "Output tokens", "Cost (USD)"];
+  const lines = [...rows, total].map((row) => [
+    row.folder,
+    String(row.images),
+    String(row.inputTokens),
+    String(row.outputTokens),
+    formatUSD(row.usd),
+  ]);
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...lines.map((line) => line[column].length))
+  );
+  const formatLine = (line) =>
+    line
+      .map((cell, column) =>
+        column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+      )
+      .join("  ");
+
+  logger.log(
+    `Estimated cost for ${modelId}` +
+      (isBatch ? " (Batch API, 50% discount applied):" : ":")
+  );
+  logger.log(formatLine(header));
+  lines.forEach((line, index) => {
+    if (index === lines.length - 1) {
+      logger.log(widths.map((width) => "-".repeat(width)).join("  "));
+    }
+    logger.log(formatLine(line));
+  });
+
+  if (total.usd === null) {
+    logger.log(
+      `No price is known for ${modelId}, so only token counts are shown. Add it to MODEL_PRICING in src/utils/pricing.js.`
+    );
+  }
+  if (unknownDimensions > 0) {
+    logger.log(
+      `The size of ${unknownDimensions} image(s) could not be read; they were estimated at the maximum size.`
+    );
+  }
+}
+
+/**
+ * Reads the dimensions of an image from its header.
+ *
+ * @param {string} imagePath - Path to the image.
+ * @returns {{width: number, height: number}|null} - The dimensions, or null if they cannot be read.
+ */
+export function readImageDimensions(imagePath) {
+  try {
+    return sizeOf(imagePath);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,129 @@
+import { readdir } from "fs/promises";
+import * as path from "path";
+import { minimatch } from "minimatch";
+
+// Image file types picked up from the images folder. Add more if needed.
+const IMAGE_EXTENSIONS = [
+  "png",
+  "jpeg",
+  "jpg",
+  "gif",
+  "bmp",
+  "tiff",
+  "tif",
+  "svg",
+  "webp",
+  "ico",
+];
+
+// Where captions are written:
+// - mirror: in the output folder, in the same subfolders as the images
+// - flat: directly in the output folder, whatever subfolder the image is in
+// - sidecar: right next to each image
+export const OUTPUT_LAYOUTS = ["mirror", "flat", "sidecar"];
+
+/**
+ * Finds the images in a folder.
+ *
+ * Patterns are matched against the path relative to the images folder using
+ * forward slashes, e.g. "10_mychar/**". A pattern without a slash, such as
+ * "*.png", matches the file name in any folder.
+ *
+ * @param {string} imagesFolderPath - The path to the folder containing image files.
+ * @param {Object} [filters]
+ * @param {boolean} [filters.recursive=true] - Whether to look inside subfolders.
+ * @param {string[]} [filters.include] - Only keep images matching one of these globs.
+ * @param {string[]} [filters.exclude] - Drop images matching any of these globs.
+ * @returns {Promise<string[]>} - Paths to the images, sorted.
+ */
+export async function discoverImages(
+  imagesFolderPath,
+  { recursive = true, include = [], exclude = [] } = {}
+) {
+  const entries = await readdir(imagesFolderPath, { recursive, withFileTypes: true });
+  const matches = (relativePath, patterns) =>
+    patterns.some((pattern) => minimatch(relativePath, pattern, { dot: true, matchBase: true }));
+
+  const pathsToImages = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) {
+      continue;
+    }
+    const extension = path.extname(entry.name).slice(1).toLowerCase();
+    if (!IMAGE_EXTENSIONS.includes(extension)) {
+      continue;
+    }
+
+    // parentPath is the folder the entry was found in (path on older Node versions)
+    const imagePath = path.join(entry.parentPath || entry.path, entry.name);
+    const relativePath = getRelativeImagePath(imagesFolderPath, imagePath);
+    if (include.length > 0 && !matches(relativePath, include)) {
+      continue;
+    }
+    if (matches(relativePath, exclude)) {
+      continue;
+    }
+    pathsToImages.push(imagePath);
+  }
+
+  return pathsToImages.sort();
+}
+
+/**
+ * Returns the path of an image relative to the images folder, with forward
+ * slashes on every platform. Used as the batch custom_id so results can be
+ * traced back to the right subfolder.
+ *
+ * @param {string} imagesFolderPath - The images folder.
+ * @param {string} imagePath - Path to an image inside it.
+ * @returns {string} - e.g. "10_mychar/image1.png".
+ */
+export function getRelativeImagePath(imagesFolderPath, imagePath) {
+  return path.relative(imagesFolderPath, imagePath).split(path.sep).join("/");
+}
+
+/**
+ * Works out where the caption of an image is written.
+ *
+ * @param {string} imagePath - Path to the image.
+ * @param {Object} layout
+ * @param {string} layout.imagesFolder - The images folder.
+ * @param {string} layout.outputFolder - The output folder.
+ * @param {string} layout.outputLayout - One of OUTPUT_LAYOUTS.
+ * @param {string} layout.fileExt - The caption file extension.
+ * @returns {string} - Path to the caption file.
+ */
+export function getCaptionPath(imagePath, { imagesFolder, outputFolder, outputLayout, fileExt }) {
+  const { dir, name } = path.parse(imagePath);
+  const captionFile = `${name}.${fileExt}`;
+
+  if (outputLayout === "sidecar") {
+    return path.join(dir, captionFile);
+  }
+  if (outputLayout === "flat") {
+    return path.join(outputFolder, captionFile);
+  }
+  return path.join(outputFolder, path.relative(imagesFolder, dir), captionFile);
+}
+
+/**
+ * Checks that no two images would write the same caption file, which happens
+ * in the flat layout when subfolders contain images with the same name.
+ *
+ * @param {string[]} imagePaths - Paths to the images.
+ * @param {Object} layout - As for getCaptionPath.
+ * @throws {Error} - Naming the first two images that collide.
+ */
+export function assertUniqueCaptionPaths(imagePaths, layout) {
+  const seen = new Map();
+  for (const imagePath of imagePaths) {
+    const captionPath = getCaptionPath(imagePath, layout);
+    if (seen.has(captionPath)) {
+      throw new Error(
+        `${seen.get(captionPath)} and ${imagePath} would both be captioned to ${captionPath}. ` +
+          `Rename one of them or use a different output layout.`
+      );
+    }
+    seen.set(captionPath, imagePath);
+  }
+}
@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getCaptionPath, getRelativeImagePath } from "./dataset.js";
+
+// Every export format, mapped to the file it is written to
+export const EXPORT_FILES = {
+  metadata: "metadata.jsonl",
+  kohya: "meta_cap.json",
+  csv: "captions.csv",
+  manifest: "captions.json",
+};
+
+export const EXPORT_FORMATS = Object.keys(EXPORT_FILES);
+
+// The caption of every image, kept in the export folder between runs whatever the formats are
+export const RECORDS_FILE = ".caption_records.json";
+
+/**
+ * Creates the writer every finished caption goes through.
+ *
+ * A caption is written to its caption file (unless caption files are turned
+ * off) and recorded with the model, prompt hash and time it was made. flush
+ * writes the recorded captions to the chosen export files and to a hidden
+ * records file. Records from earlier runs are read back from that file, so
+ * exports always cover the whole dataset and not only the images captioned
+ * by the latest run, such as a run with --retry-failed. Without caption files
+ * the JSON manifest is always written, so the captions end up in a file the
+ * user asked for.
+ *
+ * @param {Object} settings
+ * @param {Object} settings.layout - Where caption files are written, as taken by getCaptionPath.
+ * @param {boolean} [settings.captionFiles=true] - Whether to write a caption file per image.
+ * @param {string[]} [settings.formats=[]] - The export formats to write, from EXPORT_FORMATS.
+ * @param {string} [settings.exportDir] - Folder the export files are written to (default: the output folder).
+ * @param {string} [settings.modelId] - The model the captions come from.
+ * @param {string} [settings.mode="caption"] - "caption" or "tags"; tags go in the Kohya "tags" field.
+ * @returns {{write: Function, readExisting: Function, flush: Function}} - The writer.
+ */
+export function createCaptionWriter({
+  layout,
+  captionFiles = true,
+  formats = [],
+  exportDir,
+  modelId = null,
+  mode = "caption",
+}) {
+  const folder = exportDir || layout.outputFolder;
+  const recordsPath = path.join(folder, RECORDS_FILE);
+  const records = readCaptionRecords(folder);
+  const activeFormats = captionFiles ? formats : [...new Set([...formats, "manifest"])];
+
+  return {
+    /**
+     * Writes the caption of an image and records it for the exports.
+     *
+     * @param {string} imagePath - Path to the image.
+     * @param {string} caption - The finished caption.
+     * @param {string} [prompt] - The prompt the caption was made with.
+     */
+    write(imagePath, caption, prompt) {
+      if (captionFiles) {
+        const captionPath = getCaptionPath(imagePath, layout);
+        fs.mkdirSync(path.dirname(captionPath), { recursive: true });
+        fs.writeFileSync(captionPath, caption);
+      }
+      records.set(getRelativeImagePath(layout.imagesFolder, imagePath), {
+        caption,
+        model: modelId,
+        promptHash: prompt ? hashPrompt(prompt) : null,
+        createdAt: new Date().toISOString(),
+      });
+    },
+
+    /**
+     * Records the captions already on disk for images without a record, and
+     * updates records whose caption file was edited since. Used to regenerate
+     * the exports without new requests.
+     *
+     * @param {string[]} imagePaths - Paths to the images.
+     * @returns {number} - How many images have a caption.
+     */
+    readExisting(imagePaths) {
+      let found = 0;
+      for (const imagePath of imagePaths) {
+        const relativePath = getRelativeImagePath(layout.imagesFolder, imagePath);
+        const captionPath = getCaptionPath(imagePath, layout);
+        const record = records.get(relativePath);
+        if (fs.existsSync(captionPath)) {
+          const caption = fs.readFileSync(captionPath, "utf8");
+          if (!record) {
+            records.set(relativePath, {
+              caption,
+              model: null,
+              promptHash: null,
+              createdAt: fs.statSync(captionPath).mtime.toISOString(),
+            });
+          } else if (record.caption !== caption) {
+            record.caption = caption;
+          }
+        }
+        if (records.has(relativePath)) {
+          found++;
+        }
+      }
+      return found;
+    },
+
+    /**
+     * Writes the records file and every export file. Records of images that
+     * no longer exist are dropped.
+     */
+    flush() {
+      for (const relativePath of records.keys()) {
+        if (!fs.existsSync(path.join(layout.imagesFolder, relativePath))) {
+          records.delete(relativePath);
+        }
+      }
+
+      const rows = [...records.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([file, record]) => ({ file, ...record }));
+      fs.mkdirSync(folder, { recursive: true });
+      writeAtomically(recordsPath, JSON.stringify({ images: rows }, null, 2));
+      for (const format of activeFormats) {
+        writeAtomically(path.join(folder, EXPORT_FILES[format]), EXPORTERS[format](rows, mode));
+      }
+    },
+  };
+}
+
+/**
+ * Reads the records of the captions written by earlier runs.
+ *
+ * @param {string} folder - The folder the export files are written to.
+ * @returns {Map<string, Object>} - The record of every captioned image, with its `caption`, by its
+ *   path relative to the images folder.
+ */
+export function readCaptionRecords(folder) {
+  const recordsPath = path.join(folder, RECORDS_FILE);
+  // Runs from before the records file only kept records in the JSON manifest
+  return loadRecords(fs.existsSync(recordsPath) ? recordsPath : path.join(folder, EXPORT_FILES.manifest));
+}
+
+// Every export format, mapped to the function that renders it from the caption rows
+const EXPORTERS = {
+  // Hugging Face imagefolder: one JSON object per line, file_name relative to the images folder
+  metadata: (rows) =>
+    rows.map(({ file, caption }) => JSON.stringify({ file_name: file, text: caption }) + "\n").join(""),
+
+  // Kohya fine-tuning metadata: keyed by the image path without its extension,
+  // which Kohya looks up in the training data folder
+  kohya: (rows, mode) =>
+    JSON.stringify(
+      Object.fromEntries(
+        rows.map(({ file, caption }) => [
+          file.slice(0, file.length - path.extname(file).length),
+          { [mode === "tags" ? "tags" : "caption"]: caption },
+        ])
+      ),
+      null,
+      2
+    ),
+
+  csv: (rows) =>
+    ["file_name,caption", ...rows.map(({ file, caption }) => `${csvField(file)},${csvField(caption)}`)]
+      .join("\n") + "\n",
+
+  manifest: (rows) =>
+    JSON.stringify({ generatedAt: new Date().toISOString(), images: rows }, null, 2),
+};
+
+function loadRecords(recordsPath) {
+  const records = new Map();
+  if (!fs.existsSync(recordsPath)) {
+    return records;
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(recordsPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Caption records "${recordsPath}" are not valid JSON: ${error.message}`);
+  }
+  for (const { file, ...record } of data.images || []) {
+    records.set(file, record);
+  }
+  return records;
+}
+
+function hashPrompt(prompt) {
+  return crypto.createHash("sha256").update(prompt).digest("hex");
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function writeAtomically(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
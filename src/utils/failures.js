@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+// Name of the file in the output folder that lists the images that could not be captioned
+export const FAILURES_FILE = "failures.json";
+
+/**
+ * Returns the path of the failures file in an output folder.
+ *
+ * @param {string} outputFolderPath - The output folder.
+ * @returns {string} - Path to the failures file.
+ */
+export function getFailuresPath(outputFolderPath) {
+  return path.join(outputFolderPath, FAILURES_FILE);
+}
+
+/**
+ * Opens the failure log of an output folder.
+ *
+ * Every image that could not be captioned is recorded with the class of the
+ * error, the HTTP status (if the API answered) and how many attempts were
+ * made, across runs. An image is cleared from the log as soon as it gets a
+ * caption, and the file is removed once nothing has failed, so its presence
+ * alone tells that a run left images behind. The file is written on every
+ * change, so it survives a crash.
+ *
+ * @param {string} outputFolderPath - The output folder the failures file is kept in.
+ * @returns {Object} - The failure log.
+ */
+export function createFailureLog(outputFolderPath) {
+  const failuresPath = getFailuresPath(outputFolderPath);
+  const failures = loadFailures(failuresPath);
+
+  function save() {
+    if (failures.size === 0) {
+      fs.rmSync(failuresPath, { force: true });
+      return;
+    }
+    const images = [...failures.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([file, failure]) => ({ file, ...failure }));
+    fs.mkdirSync(outputFolderPath, { recursive: true });
+    const tempPath = `${failuresPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), images }, null, 2));
+    fs.renameSync(tempPath, failuresPath);
+  }
+
+  function set(file, error, { attempts, status = null, mode }) {
+    const previous = failures.get(file);
+    failures.set(file, {
+      errorClass: error.name || error.code || "Error",
+      status: status ?? error.status ?? null,
+      message: error.message,
+      attempts: (previous ? previous.attempts : 0) + attempts,
+      mode,
+      failedAt: new Date().toISOString(),
+    });
+  }
+
+  return {
+    path: failuresPath,
+
+    get size() {
+      return failures.size;
+    },
+
+    /**
+     * Records that an image could not be captioned.
+     *
+     * @param {string} file - Path of the image relative to the images folder.
+     * @param {Error|Object} error - The error, or a batch result error with `code` and `message`.
+     * @param {Object} details
+     * @param {number} details.attempts - Attempts made by this run.
+     * @param {number|null} [details.status] - HTTP status of the failed request, if the API answered.
+     * @param {string} details.mode - "sync" or "batch".
+     */
+    record(file, error, details) {
+      set(file, error, details);
+      save();
+    },
+
+    /**
+     * Records that several images could not be captioned for the same
+     * reason, writing the file once.
+     *
+     * @param {{file: string, attempts: number}[]} images - Paths of the images relative to the images
+     *   folder, with the attempts this run made on each.
+     * @param {Error|Object} error - The error every image failed with.
+     * @param {Object} details
+     * @param {string} details.mode - "sync" or "batch".
+     */
+    recordAll(images, error, { mode }) {
+      for (const { file, attempts } of images) {
+        set(file, error, { attempts, mode });
+      }
+      save();
+    },
+
+    /**
+     * Removes an image from the log once it has a caption.
+     *
+     * @param {string} file - Path of the image relative to the images folder.
+     */
+    clear(file) {
+      if (failures.delete(file)) {
+        save();
+      }
+    },
+
+    /**
+     * @param {string} file - Path of the image relative to the images folder.
+     * @returns {boolean} - Whether the image is in the log.
+     */
+    has(file) {
+      return failures.has(file);
+    },
+  };
+}
+
+/**
+ * Tells the user where the failed images are listed and how to retry them.
+ *
+ * @param {Object} failureLog - The failure log, from createFailureLog.
+ */
+export function printFailureHint(failureLog) {
+  if (failureLog.size > 0) {
+    logger.log(
+      `${failureLog.size} image(s) could not be captioned and are listed in ${failureLog.path}. ` +
+        "Run again with --retry-failed to retry only those images."
+    );
+  }
+}
+
+function loadFailures(failuresPath) {
+  const failures = new Map();
+  if (!fs.existsSync(failuresPath)) {
+    return failures;
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(failuresPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Failures file "${failuresPath}" is not valid JSON: ${error.message}`);
+  }
+  for (const { file, ...failure } of data.images || []) {
+    failures.set(file, failure);
+  }
+  return failures;
+}
@@ -1,12 +1,210 @@
 import fs from "fs";
+import sharp from "sharp";
+import bmp from "bmp-js";
+import decodeIco from "decode-ico";
 
-export function encodeImage(imagePath) {
-  let base64Image = null;
+// Formats the vision API accepts as-is, mapped to their MIME type
+export const SUPPORTED_MIME_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+
+// Quality used when an image without transparency is converted to JPEG
+const JPEG_QUALITY = 90;
+
+// Formats images can be re-encoded to when they are preprocessed
+export const PREPROCESS_FORMATS = ["jpeg", "webp"];
+
+// Longest edge preprocessed images are downsized to, by detail level. Low
+// detail images are seen at 512x512, and high detail ones are scaled to fit
+// 2048x2048 by the API anyway, so anything larger is only uploaded for nothing.
+export const DEFAULT_MAX_EDGES = { low: 512, high: 2048, auto: 2048 };
+
+/**
+ * Thrown when an image cannot be read, recognized or converted. Retrying
+ * will not help, so callers should report the file and move on.
+ */
+export class ImageDecodeError extends Error {
+  constructor(imagePath, reason) {
+    super(`Could not decode image ${imagePath}: ${reason}`);
+    this.name = "ImageDecodeError";
+    this.imagePath = imagePath;
+  }
+}
+
+/**
+ * Detects the format of an image from the magic bytes at the start of the file.
+ *
+ * @param {Buffer} buffer - The contents of the image file.
+ * @returns {string|null} - png, jpeg, gif, webp, bmp, tiff, ico or svg, or null if unknown.
+ */
+export function detectImageFormat(buffer) {
+  const startsWith = (bytes, offset = 0) =>
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "png";
+  if (startsWith([0xff, 0xd8, 0xff])) return "jpeg";
+  if (startsWith([0x47, 0x49, 0x46, 0x38])) return "gif"; // GIF8
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return "webp"; // RIFF....WEBP
+  if (startsWith([0x42, 0x4d])) return "bmp"; // BM
+  if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) return "tiff";
+  if (startsWith([0x00, 0x00, 0x01, 0x00])) return "ico";
+
+  // SVG is text, so look for an <svg> tag near the start of the file
+  const head = buffer.subarray(0, 1024).toString("utf8").trimStart();
+  if ((head.startsWith("<?xml") || head.startsWith("<svg") || head.startsWith("<!--")) && head.includes("<svg")) {
+    return "svg";
+  }
+  return null;
+}
+
+/**
+ * Reads an image and base64 encodes it for the vision API.
+ *
+ * PNG, JPEG, GIF and WebP files are sent unchanged with their real MIME type.
+ * BMP, TIFF, ICO and SVG files are converted first: to PNG when they have
+ * transparency, otherwise to JPEG.
+ *
+ * With preprocessing, every image is instead turned upright following its
+ * EXIF orientation, downsized to fit the maximum edge and re-encoded, which
+ * drops all of its metadata, GPS position included.
+ *
+ * @param {string} imagePath - Path to the image.
+ * @param {Object} [preprocessing] - How to preprocess the image, or nothing to send it as it is.
+ * @param {number} preprocessing.maxEdge - Longest edge in pixels; smaller images are not enlarged.
+ * @param {string} preprocessing.format - One of PREPROCESS_FORMATS. Images with transparency become PNG instead of JPEG.
+ * @param {number} preprocessing.quality - JPEG or WebP quality, from 1 to 100.
+ * @returns {Promise<{base64: string, mimeType: string, format: string, converted: boolean}>}
+ * @throws {ImageDecodeError} - If the file cannot be read, recognized or converted.
+ */
+export async function encodeImage(imagePath, preprocessing) {
+  let buffer;
   try {
-    base64Image = fs.readFileSync(imagePath, { encoding: "base64" });
+    buffer = fs.readFileSync(imagePath);
   } catch (error) {
-    console.error("Failed to encode image:", error);
-    return null;
+    throw new ImageDecodeError(imagePath, error.message);
+  }
+
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new ImageDecodeError(imagePath, "unrecognized image format");
+  }
+
+  if (preprocessing) {
+    try {
+      const { data, mimeType } = await preprocessImage(loadForConversion(buffer, format), preprocessing);
+      return { base64: data.toString("base64"), mimeType, format, converted: true };
+    } catch (error) {
+      throw new ImageDecodeError(imagePath, `failed to preprocess ${format}: ${error.message}`);
+    }
+  }
+
+  if (SUPPORTED_MIME_TYPES[format]) {
+    return {
+      base64: buffer.toString("base64"),
+      mimeType: SUPPORTED_MIME_TYPES[format],
+      format,
+      converted: false,
+    };
+  }
+
+  try {
+    const { data, mimeType } = await convertImage(loadForConversion(buffer, format));
+    return { base64: data.toString("base64"), mimeType, format, converted: true };
+  } catch (error) {
+    throw new ImageDecodeError(imagePath, `failed to convert ${format}: ${error.message}`);
+  }
+}
+
+/**
+ * Builds a data URL from an encoded image.
+ *
+ * @param {{base64: string, mimeType: string}} encodedImage - The result of encodeImage.
+ * @returns {string} - The data URL.
+ */
+export function toDataUrl({ base64, mimeType }) {
+  return `data:${mimeType};base64,${base64}`;
+}
+
+/**
+ * Opens an image in a format the API does not accept so that it can be converted.
+ * sharp reads TIFF and SVG itself; BMP and ICO are decoded to raw pixels first.
+ *
+ * @param {Buffer} buffer - The contents of the image file.
+ * @param {string} format - The format returned by detectImageFormat.
+ * @returns {sharp.Sharp} - The image, ready to be re-encoded.
+ */
+function loadForConversion(buffer, format) {
+  if (format === "bmp") {
+    // bmp-js decodes to ABGR; reorder to RGB and drop alpha, which is unreliable in BMPs
+    const decoded = bmp.decode(buffer);
+    const pixels = Buffer.alloc(decoded.width * decoded.height * 3);
+    for (let i = 0, j = 0; i < decoded.data.length; i += 4, j += 3) {
+      pixels[j] = decoded.data[i + 3];
+      pixels[j + 1] = decoded.data[i + 2];
+      pixels[j + 2] = decoded.data[i + 1];
+    }
+    return sharp(pixels, {
+      raw: { width: decoded.width, height: decoded.height, channels: 3 },
+    });
+  }
+
+  if (format === "ico") {
+    // Icons hold several sizes; use the largest
+    const images = decodeIco(buffer);
+    if (images.length === 0) {
+      throw new Error("icon contains no images");
+    }
+    const largest = images.reduce((a, b) => (b.width * b.height > a.width * a.height ? b : a));
+    if (largest.type === "png") {
+      return sharp(Buffer.from(largest.data));
+    }
+    return sharp(Buffer.from(largest.data), {
+      raw: { width: largest.width, height: largest.height, channels: 4 },
+    });
+  }
+
+  return sharp(buffer);
+}
+
+/**
+ * Re-encodes an image to PNG if it has transparency, or to JPEG otherwise.
+ *
+ * @param {sharp.Sharp} image - The image to convert.
+ * @returns {Promise<{data: Buffer, mimeType: string}>}
+ */
+async function convertImage(image) {
+  const { hasAlpha } = await image.metadata();
+  if (hasAlpha) {
+    return { data: await image.png().toBuffer(), mimeType: SUPPORTED_MIME_TYPES.png };
+  }
+  return {
+    data: await image.jpeg({ quality: JPEG_QUALITY }).toBuffer(),
+    mimeType: SUPPORTED_MIME_TYPES.jpeg,
+  };
+}
+
+/**
+ * Turns an image upright, downsizes it and re-encodes it without metadata.
+ *
+ * @param {sharp.Sharp} image - The image to preprocess.
+ * @param {Object} preprocessing - As taken by encodeImage.
+ * @returns {Promise<{data: Buffer, mimeType: string}>}
+ */
+async function preprocessImage(image, { maxEdge, format, quality }) {
+  const { hasAlpha } = await image.metadata();
+  // rotate() without an angle applies the EXIF orientation. sharp writes no
+  // metadata unless asked to, so EXIF and GPS data are left behind.
+  image
+    .rotate()
+    .resize({ width: maxEdge, height: maxEdge, fit: "inside", withoutEnlargement: true });
+  if (format === "webp") {
+    return { data: await image.webp({ quality }).toBuffer(), mimeType: SUPPORTED_MIME_TYPES.webp };
+  }
+  if (hasAlpha) {
+    return { data: await image.png().toBuffer(), mimeType: SUPPORTED_MIME_TYPES.png };
   }
-  return base64Image;
+  return { data: await image.jpeg({ quality }).toBuffer(), mimeType: SUPPORTED_MIME_TYPES.jpeg };
 }
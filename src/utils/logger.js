@@ -0,0 +1,32 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const currentLogger = new AsyncLocalStorage();
+
+/**
+ * Where the messages of a run go. Each method passes its arguments on to the
+ * logger set by runWithLogger for the code it is called from, or to the
+ * console outside of one. A caller can show the messages of its run its own
+ * way, or drop them, without the console being replaced for everyone else.
+ */
+export const logger = {
+  log: (...args) => getLogger().log(...args),
+  info: (...args) => getLogger().info(...args),
+  warn: (...args) => getLogger().warn(...args),
+  error: (...args) => getLogger().error(...args),
+};
+
+/**
+ * Runs a function with every message it logs through `logger`, including
+ * those of anything it awaits, sent to another logger.
+ *
+ * @param {{log: Function, info: Function, warn: Function, error: Function}} target - The logger, shaped like the console.
+ * @param {Function} fn - The function to run.
+ * @returns {*} - What the function returns.
+ */
+export function runWithLogger(target, fn) {
+  return currentLogger.run(target, fn);
+}
+
+function getLogger() {
+  return currentLogger.getStore() || console;
+}
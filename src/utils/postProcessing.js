@@ -0,0 +1,230 @@
+import { estimateTextTokens } from "./costEstimator.js";
+import { formatTags, parseTagResponse } from "./tags.js";
+
+// Openings that describe the image instead of its contents
+const DEFAULT_PREAMBLES = [
+  /^(this|the) (image|picture|photo|photograph|illustration|artwork) (shows|depicts|features|displays|contains|presents|is of|is)\s+/i,
+  /^(in|within) (this|the) (image|picture|photo|photograph|illustration|artwork)\s*,?\s*/i,
+  /^(an? )?(image|picture|photo|photograph|illustration) of\s+/i,
+];
+
+// Pairs of quotes a model may wrap its whole answer in
+const WRAPPING_QUOTES = [
+  ['"', '"'],
+  ["'", "'"],
+  ["“", "”"],
+  ["‘", "’"],
+  ["`", "`"],
+];
+
+// Characters escaped by default so that Kohya and Automatic1111 do not read them as prompt weighting
+const DEFAULT_ESCAPED_CHARACTERS = '()"';
+
+// Every pipeline step, mapped to the function that applies it
+const STEPS = {
+  stripQuotes,
+  stripPreamble,
+  normalizeWhitespace,
+  case: changeCase,
+  replace,
+  bannedWords: removeBannedWords,
+  maxWords: limitWords,
+  maxTokens: limitTokens,
+  triggerWords: addTriggerWords,
+};
+
+export const POST_PROCESSING_STEPS = Object.keys(STEPS);
+
+/**
+ * Creates the post-processor every caption goes through before it is written.
+ *
+ * In tag mode the model's JSON answer is first turned into a tag list. The
+ * steps then run in the order they are listed. Escaping runs last, after any
+ * trigger words were added, so the written caption is always safe to use as
+ * a training prompt.
+ *
+ * @param {Object} settings
+ * @param {Object[]} [settings.steps=[]] - The pipeline, e.g. [{ "step": "stripQuotes" }, { "step": "maxWords", "max": 50 }].
+ * @param {boolean} [settings.escape=true] - Whether to backslash-escape parentheses and double quotes.
+ * @param {Object} [settings.tags] - Tag list settings, as taken by formatTags. Only set in tag mode.
+ * @returns {Function} - Called with (caption, relativePath) and returns the processed caption.
+ * @throws {TagResponseError} - From the returned function, if a tag mode answer is not a valid tag list.
+ */
+export function createPostProcessor({ steps = [], escape = true, tags }) {
+  validatePostProcessingSteps(steps, "post-processing settings");
+
+  return (caption, relativePath) => {
+    let processed = tags ? formatTags(parseTagResponse(caption), tags) : caption;
+    for (const step of steps) {
+      processed = STEPS[step.step](processed, step, relativePath);
+    }
+    if (escape) {
+      processed = escapeCharacters(processed, DEFAULT_ESCAPED_CHARACTERS);
+    }
+    return processed;
+  };
+}
+
+/**
+ * Throws if a post-processing pipeline contains unknown steps or steps with
+ * missing or badly typed settings.
+ *
+ * @param {*} steps - The pipeline to check.
+ * @param {string} source - Where the pipeline came from, used in error messages.
+ */
+export function validatePostProcessingSteps(steps, source) {
+  if (!Array.isArray(steps)) {
+    throw new Error(`Option "postProcessing" in ${source} must be an array of steps.`);
+  }
+  steps.forEach((step, index) => {
+    const where = `step ${index + 1} of "postProcessing" in ${source}`;
+    if (!step || typeof step !== "object" || !STEPS[step.step]) {
+      throw new Error(
+        `The "step" of ${where} must be one of: ${POST_PROCESSING_STEPS.join(", ")}.`
+      );
+    }
+    if (step.step === "case" && !["lower", "upper", "sentence"].includes(step.mode)) {
+      throw new Error(`The "mode" of ${where} must be one of: lower, upper, sentence.`);
+    }
+    if (step.step === "replace" && typeof step.find !== "string") {
+      throw new Error(`The "find" of ${where} must be a string.`);
+    }
+    if (step.step === "bannedWords" && !isStringArray(step.words)) {
+      throw new Error(`The "words" of ${where} must be an array of strings.`);
+    }
+    if (
+      (step.step === "maxWords" || step.step === "maxTokens") &&
+      !(Number.isInteger(step.max) && step.max > 0)
+    ) {
+      throw new Error(`The "max" of ${where} must be a positive whole number.`);
+    }
+    if (step.step === "triggerWords") {
+      for (const key of ["prepend", "append"]) {
+        if (step[key] !== undefined && !isStringArray(step[key])) {
+          throw new Error(`The "${key}" of ${where} must be an array of strings.`);
+        }
+      }
+    }
+  });
+}
+
+function stripQuotes(caption) {
+  let stripped = caption.trim();
+  for (const [open, close] of WRAPPING_QUOTES) {
+    if (stripped.length > 1 && stripped.startsWith(open) && stripped.endsWith(close)) {
+      stripped = stripped.slice(open.length, -close.length).trim();
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Removes openings such as "This image shows". Extra patterns can be given
+ * as regular expression sources in `patterns`.
+ */
+function stripPreamble(caption, { patterns = [] }) {
+  const preambles = [...DEFAULT_PREAMBLES, ...patterns.map((pattern) => new RegExp(pattern, "i"))];
+  let stripped = caption.trim();
+  for (const preamble of preambles) {
+    stripped = stripped.replace(preamble, "");
+  }
+  return stripped;
+}
+
+function normalizeWhitespace(caption) {
+  return tidy(caption);
+}
+
+function changeCase(caption, { mode }) {
+  if (mode === "lower") {
+    return caption.toLowerCase();
+  }
+  if (mode === "upper") {
+    return caption.toUpperCase();
+  }
+  return caption.charAt(0).toUpperCase() + caption.slice(1);
+}
+
+/**
+ * Replaces text. `find` is literal unless `regex` is true; matching is case
+ * sensitive unless `ignoreCase` is true.
+ */
+function replace(caption, { find, replace: replacement = "", regex = false, ignoreCase = false }) {
+  const source = regex ? find : escapeRegExp(find);
+  return caption.replace(new RegExp(source, ignoreCase ? "gi" : "g"), replacement);
+}
+
+/**
+ * Removes whole words and phrases, ignoring case, and tidies the separators
+ * they leave behind.
+ */
+function removeBannedWords(caption, { words }) {
+  let cleaned = caption;
+  for (const word of words) {
+    cleaned = cleaned.replace(new RegExp(`(?<![\\w])${escapeRegExp(word)}(?![\\w])`, "gi"), "");
+  }
+  return tidy(cleaned);
+}
+
+function limitWords(caption, { max }) {
+  const words = caption.trim().split(/\s+/);
+  return words.length > max ? trimSeparators(words.slice(0, max).join(" ")) : caption;
+}
+
+function limitTokens(caption, { max }) {
+  const words = caption.trim().split(/\s+/);
+  while (words.length > 1 && estimateTextTokens(words.join(" ")) > max) {
+    words.pop();
+  }
+  return trimSeparators(words.join(" "));
+}
+
+/**
+ * Adds trigger words or class tokens. Words under `folders` apply to images
+ * in that folder (relative to the images folder) and its subfolders; the
+ * deepest matching folder wins and its words come after the global ones.
+ */
+function addTriggerWords(caption, { prepend = [], append = [], folders = {}, separator = ", " }, relativePath = "") {
+  const folderWords = findFolderSettings(folders, relativePath);
+  const before = [...prepend, ...(folderWords.prepend || [])];
+  const after = [...append, ...(folderWords.append || [])];
+  return [...before, caption, ...after].filter((part) => part !== "").join(separator);
+}
+
+function findFolderSettings(folders, relativePath) {
+  const parts = relativePath.split("/").slice(0, -1);
+  while (parts.length > 0) {
+    const settings = folders[parts.join("/")];
+    if (settings) {
+      return settings;
+    }
+    parts.pop();
+  }
+  return {};
+}
+
+function escapeCharacters(caption, characters) {
+  return caption.replace(new RegExp(`([${escapeRegExp(characters)}])`, "g"), "\\$1");
+}
+
+// Collapses whitespace and cleans up the empty list items and stray separators left by removed words
+function tidy(caption) {
+  return trimSeparators(
+    caption
+      .replace(/\s+/g, " ")
+      .replace(/\s+([,.;:!?])/g, "$1")
+      .replace(/([,;])(\s*[,;])+/g, "$1")
+  );
+}
+
+function trimSeparators(caption) {
+  return caption.trim().replace(/^[,;\s]+|[,;\s]+$/g, "");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\\-]/g, "\\$&");
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string");
+}
@@ -0,0 +1,84 @@
+// Prices in USD per 1 million tokens. Find them here: https://openai.com/api/pricing,
+// https://www.anthropic.com/pricing and https://ai.google.dev/pricing
+// If a model is missing, add it here. Costs for unknown models are reported in tokens only.
+export const MODEL_PRICING = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+};
+
+// The Batch API bills every request at half price
+export const BATCH_DISCOUNT = 0.5;
+
+/**
+ * Looks up a model in a table keyed by model ID. Dated snapshots such as
+ * "gpt-4o-2024-08-06" or "claude-sonnet-4-20250514" and "-latest" aliases
+ * match the model they point to.
+ *
+ * @param {Object} table - The table to look in.
+ * @param {string} modelId - The model ID.
+ * @returns {*} - The table entry, or null if the model is not in the table.
+ */
+export function lookupModel(table, modelId) {
+  const id = modelId.toLowerCase();
+  if (table[id]) {
+    return table[id];
+  }
+  const snapshotOf = id.replace(/-(\d{4}-\d{2}-\d{2}|\d{8}|latest)$/, "");
+  return table[snapshotOf] || null;
+}
+
+/**
+ * Looks up the price of a model.
+ *
+ * @param {string} modelId - The model ID.
+ * @returns {{input: number, output: number}|null} - The price per 1M tokens, or null if unknown.
+ */
+export function getModelPricing(modelId) {
+  return lookupModel(MODEL_PRICING, modelId);
+}
+
+/**
+ * Converts input and output tokens to USD.
+ *
+ * @param {string} modelId - The model the tokens were spent on.
+ * @param {number} inputTokens - Prompt tokens, including image tokens.
+ * @param {number} outputTokens - Completion tokens.
+ * @param {boolean} [isBatch=false] - Whether the Batch API discount applies.
+ * @returns {number|null} - The cost in USD, or null if the model's price is unknown.
+ */
+export function tokensToUSD(modelId, inputTokens, outputTokens, isBatch = false) {
+  const pricing = getModelPricing(modelId);
+  if (!pricing) {
+    return null;
+  }
+  const usd =
+    (inputTokens / 1_000_000) * pricing.input +
+    (outputTokens / 1_000_000) * pricing.output;
+  return isBatch ? usd * BATCH_DISCOUNT : usd;
+}
+
+/**
+ * Formats a USD amount for display, keeping small amounts readable.
+ *
+ * @param {number|null} usd - The amount in USD.
+ * @returns {string} - e.g. "$1.23", "$0.0042" or "unknown".
+ */
+export function formatUSD(usd) {
+  if (usd === null || usd === undefined) {
+    return "unknown";
+  }
+  return `$${usd >= 1 ? usd.toFixed(2) : usd.toFixed(4)}`;
+}
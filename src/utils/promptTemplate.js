@@ -0,0 +1,115 @@
+import fs from "fs";
+import path from "path";
+import { readImageDimensions } from "./costEstimator.js";
+import { getRelativeImagePath } from "./dataset.js";
+
+// Name of the prompt file that overrides the prompt for a folder and everything beneath it
+export const FOLDER_PROMPT_FILE = "prompt.txt";
+
+// Every variable a prompt can use, mapped to how its value is found
+const VARIABLES = {
+  // Image file name without the extension, e.g. "image1"
+  fileName: ({ imagePath }) => path.parse(imagePath).name,
+  // Path relative to the images folder, e.g. "10_mychar/image1.png"
+  relativePath: ({ imagePath, imagesFolder }) =>
+    path.relative(imagesFolder, imagePath).split(path.sep).join("/"),
+  // Name of the folder the image is in, e.g. "10_mychar"
+  folder: ({ imagePath }) => path.basename(path.dirname(imagePath)),
+  // Folder name without the Kohya repeat count, e.g. "mychar"
+  concept: ({ imagePath }) => path.basename(path.dirname(imagePath)).replace(/^\d+_/, ""),
+  width: ({ dimensions }) => (dimensions ? String(dimensions.width) : ""),
+  height: ({ dimensions }) => (dimensions ? String(dimensions.height) : ""),
+  // Caption file next to the image, as written by BLIP and similar captioners
+  existingCaption: ({ imagePath, recordedCaption }) => readSibling(imagePath, ".caption", recordedCaption),
+  // Tag file next to the image, as written by WD14 and similar taggers
+  existingTags: ({ imagePath, recordedCaption }) => readSibling(imagePath, ".txt", recordedCaption),
+};
+
+export const PROMPT_VARIABLES = Object.keys(VARIABLES);
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Creates the function that works out the prompt of each image.
+ *
+ * The prompt of an image is the nearest folder prompt file (`prompt.txt`
+ * unless another name is given) in its folder or a folder above it inside
+ * the images folder, falling back to the main prompt
+ * file. Prompts are templates: `{{variable}}` is replaced with the value of
+ * one of PROMPT_VARIABLES for that image, and an existing file that is not
+ * there becomes an empty string. So does a file that holds the caption an
+ * earlier run wrote for the image, which the model would otherwise be shown
+ * its own earlier answer in.
+ *
+ * @param {Object} settings
+ * @param {string} settings.imagesFolder - The images folder.
+ * @param {string} settings.promptFile - The main prompt file.
+ * @param {string} [settings.folderPromptFile="prompt.txt"] - Name of the prompt file that overrides the main one for a folder.
+ * @param {Map<string, Object>} [settings.recordedCaptions] - The captions of earlier runs, as read by readCaptionRecords.
+ * @returns {Function} - Called with an image path and returns its prompt.
+ * @throws {Error} - From the returned function, if a prompt file is empty or uses an unknown variable.
+ */
+export function createPromptRenderer({
+  imagesFolder,
+  promptFile,
+  folderPromptFile = FOLDER_PROMPT_FILE,
+  recordedCaptions = new Map(),
+}) {
+  const templates = new Map();
+  const rootFolder = path.resolve(imagesFolder);
+
+  function loadTemplate(templatePath) {
+    if (!templates.has(templatePath)) {
+      const template = fs.readFileSync(templatePath, "utf8");
+      if (template.trim() === "") {
+        throw new Error(
+          `Prompt was empty. Please edit ${templatePath} with your prompt. Check the README for details.`
+        );
+      }
+      for (const [, name] of template.matchAll(VARIABLE_PATTERN)) {
+        if (!VARIABLES[name]) {
+          throw new Error(
+            `Unknown variable {{${name}}} in ${templatePath}. Available variables: ${PROMPT_VARIABLES.join(", ")}`
+          );
+        }
+      }
+      templates.set(templatePath, template);
+    }
+    return templates.get(templatePath);
+  }
+
+  function findTemplatePath(imagePath) {
+    let folder = path.resolve(path.dirname(imagePath));
+    while (folder.startsWith(rootFolder)) {
+      const candidate = path.join(folder, folderPromptFile);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+      if (folder === rootFolder) {
+        break;
+      }
+      folder = path.dirname(folder);
+    }
+    return promptFile;
+  }
+
+  return (imagePath) => {
+    const template = loadTemplate(findTemplatePath(imagePath));
+    const record = recordedCaptions.get(getRelativeImagePath(imagesFolder, imagePath));
+    const context = { imagePath, imagesFolder, dimensions: null, recordedCaption: record ? record.caption : null };
+    if (/\{\{\s*(width|height)\s*\}\}/.test(template)) {
+      context.dimensions = readImageDimensions(imagePath);
+    }
+    return template.replace(VARIABLE_PATTERN, (match, name) => VARIABLES[name](context));
+  };
+}
+
+function readSibling(imagePath, extension, recordedCaption) {
+  const { dir, name } = path.parse(imagePath);
+  const siblingPath = path.join(dir, `${name}${extension}`);
+  if (!fs.existsSync(siblingPath)) {
+    return "";
+  }
+  const contents = fs.readFileSync(siblingPath, "utf8");
+  return contents === recordedCaption ? "" : contents.trim();
+}
@@ -0,0 +1,192 @@
+// Rate limits are counted over a sliding one minute window
+const WINDOW_MS = 60000;
+
+// Backoff between retries starts here and doubles every attempt, up to the maximum
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * Creates a limiter that keeps requests under a requests-per-minute and a
+ * tokens-per-minute limit.
+ *
+ * The configured limits are only a starting point: once responses come back,
+ * the limits and remaining quota reported by the provider take over, and a
+ * Retry-After from a 429 or 503 pauses every caller until it has passed.
+ *
+ * @param {Object} settings
+ * @param {number} [settings.requestsPerMinute] - Initial request limit. Unlimited if not set.
+ * @param {number} [settings.tokensPerMinute] - Initial token limit. Unlimited if not set.
+ * @returns {{acquire: Function, update: Function, pause: Function}} - The limiter.
+ */
+export function createRateLimiter({ requestsPerMinute, tokensPerMinute }) {
+  const limits = { requests: requestsPerMinute, tokens: tokensPerMinute };
+  const history = []; // { time, tokens } for every request in the current window
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  function prune(now) {
+    while (history.length > 0 && history[0].time <= now - WINDOW_MS) {
+      history.shift();
+    }
+  }
+
+  // How long to wait before a request of `tokens` tokens fits in the window
+  function timeUntilAvailable(tokens, now) {
+    if (pausedUntil > now) {
+      return pausedUntil - now;
+    }
+    if (history.length === 0) {
+      return 0;
+    }
+    if (limits.requests && history.length >= limits.requests) {
+      return history[history.length - limits.requests].time + WINDOW_MS - now;
+    }
+    if (limits.tokens) {
+      const used = history.reduce((sum, entry) => sum + entry.tokens, 0);
+      let excess = used + tokens - limits.tokens;
+      for (const entry of history) {
+        if (excess <= 0) break;
+        excess -= entry.tokens;
+        if (excess <= 0) {
+          return entry.time + WINDOW_MS - now;
+        }
+      }
+    }
+    return 0;
+  }
+
+  return {
+    /**
+     * Waits until a request may be sent, then counts it against the limits.
+     * Callers are let through in the order they asked.
+     *
+     * @param {number} [tokens=0] - Estimated tokens the request will use.
+     * @returns {Promise<void>}
+     */
+    acquire(tokens = 0) {
+      const turn = queue.then(async () => {
+        for (;;) {
+          const now = Date.now();
+          prune(now);
+          const wait = timeUntilAvailable(tokens, now);
+          if (wait <= 0) {
+            history.push({ time: now, tokens });
+            return;
+          }
+          await delay(wait);
+        }
+      });
+      queue = turn;
+      return turn;
+    },
+
+    /**
+     * Adapts to the rate limit state reported by the provider.
+     *
+     * @param {Object} rateLimits - As returned by a provider's readRateLimits.
+     */
+    update(rateLimits) {
+      if (rateLimits.limitRequests > 0) limits.requests = rateLimits.limitRequests;
+      if (rateLimits.limitTokens > 0) limits.tokens = rateLimits.limitTokens;
+
+      const now = Date.now();
+      if (rateLimits.remainingRequests === 0 && rateLimits.resetRequestsMs > 0) {
+        pausedUntil = Math.max(pausedUntil, now + rateLimits.resetRequestsMs);
+      }
+      if (rateLimits.remainingTokens === 0 && rateLimits.resetTokensMs > 0) {
+        pausedUntil = Math.max(pausedUntil, now + rateLimits.resetTokensMs);
+      }
+    },
+
+    /**
+     * Holds back every request for a while, e.g. after a Retry-After.
+     *
+     * @param {number} ms - How long to pause for.
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+/**
+ * Reads how long to wait before retrying from a response's headers.
+ * Understands `retry-after-ms` and `retry-after` given in seconds or as an HTTP date.
+ *
+ * @param {Headers} headers - The response headers.
+ * @returns {number|null} - The delay in milliseconds, or null if none was given.
+ */
+export function getRetryAfterMs(headers) {
+  if (!headers) {
+    return null;
+  }
+  const retryAfterMs = Number(headers.get("retry-after-ms"));
+  if (retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+  const retryAfter = headers.get("retry-after");
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Picks a delay before the next retry using exponential backoff with full
+ * jitter, so that many workers failing at once do not retry in lockstep.
+ *
+ * @param {number} attempt - The attempt that just failed, starting at 1.
+ * @returns {number} - The delay in milliseconds.
+ */
+export function getBackoffMs(attempt) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Parses a duration such as "1s", "6m0s", "20ms" or "1h2m3.5s".
+ *
+ * @param {string|null} value - The duration.
+ * @returns {number|null} - The duration in milliseconds, or null if it could not be parsed.
+ */
+export function parseDurationMs(value) {
+  if (!value) {
+    return null;
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    total += Number(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+/**
+ * Runs a worker over every item with at most `concurrency` workers at a time.
+ *
+ * @param {Array} items - The items to process.
+ * @param {number} concurrency - The maximum number of items in flight.
+ * @param {Function} worker - Called with (item, index); may return a promise.
+ * @returns {Promise<void>}
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,62 @@
+import fs from "fs";
+import path from "path";
+
+// Name of the refinement prompt file that overrides the refinement prompt for a folder and everything beneath it
+export const FOLDER_REFINE_PROMPT_FILE = "refine_prompt.txt";
+
+/**
+ * Reads the captions an earlier captioner or tagger left next to an image.
+ *
+ * @param {string} imagePath - Path to the image.
+ * @param {string[]} extensions - Caption file extensions to look for, without the dot, e.g. ["caption", "txt"].
+ * @returns {{path: string, text: string}[]} - The non-empty caption files found, in the order of `extensions`.
+ */
+export function readExistingCaptions(imagePath, extensions) {
+  const { dir, name } = path.parse(imagePath);
+  const captions = [];
+  for (const extension of extensions) {
+    const captionPath = path.join(dir, `${name}.${extension}`);
+    if (!fs.existsSync(captionPath)) {
+      continue;
+    }
+    const text = fs.readFileSync(captionPath, "utf8").trim();
+    if (text !== "") {
+      captions.push({ path: captionPath, text });
+    }
+  }
+  return captions;
+}
+
+/**
+ * Adds the existing captions of an image to its refinement prompt, each
+ * under the name of the file it came from so the model can tell a prose
+ * caption from a tag list.
+ *
+ * @param {string} prompt - The rendered refinement prompt.
+ * @param {{path: string, text: string}[]} captions - The captions from readExistingCaptions.
+ * @returns {string} - The prompt sent with the image.
+ */
+export function buildRefinePrompt(prompt, captions) {
+  const sections = captions.map(({ path: captionPath, text }) => `[${path.basename(captionPath)}]\n${text}`);
+  return `${prompt.trimEnd()}\n\nExisting captions:\n\n${sections.join("\n\n")}`;
+}
+
+/**
+ * Throws if refined captions would be written over the captions they are
+ * refined from, e.g. with the sidecar layout and the same extension.
+ *
+ * @param {Map<string, {path: string, text: string}[]>} existingCaptions - The existing captions of each image.
+ * @param {Function} getOutputPath - Called with an image path and returns where its caption is written.
+ */
+export function assertOriginalsKept(existingCaptions, getOutputPath) {
+  for (const [imagePath, captions] of existingCaptions) {
+    const outputPath = path.resolve(getOutputPath(imagePath));
+    const original = captions.find((caption) => path.resolve(caption.path) === outputPath);
+    if (original) {
+      throw new Error(
+        `The refined caption of "${imagePath}" would overwrite the caption it is refined from ("${original.path}"). ` +
+          "Use the mirror or flat output layout, or a different --ext."
+      );
+    }
+  }
+}
@@ -0,0 +1,137 @@
+// Kinds of unusable replies, in the order they are checked
+export const RESPONSE_CLASSES = ["error", "contentFiltered", "refusal", "truncated", "empty"];
+
+// What can be done about an unusable reply
+export const RESPONSE_POLICIES = ["retry", "alternatePrompt", "raiseMaxTokens", "fail"];
+
+export const DEFAULT_RESPONSE_POLICIES = {
+  error: "retry",
+  contentFiltered: "fail",
+  refusal: "alternatePrompt",
+  truncated: "raiseMaxTokens",
+  empty: "retry",
+};
+
+// The raiseMaxTokens policy gives up on a reply that is cut off at this many
+// tokens, eight times the default limit
+export const MAX_RAISED_TOKENS = 4096;
+
+// Sent instead of the prompt by the alternatePrompt policy when no alternate prompt file is set
+export const DEFAULT_ALTERNATE_PROMPT =
+  "Write a short, neutral and factual caption of what is visible in this image. " +
+  "Leave out anything you cannot describe instead of declining.";
+
+// Openings of replies in which the model declines to caption the image
+const REFUSAL_PATTERNS = [
+  /^(i['’]?m|i am) (so )?(sorry|afraid)\b/i,
+  /^sorry\b/i,
+  /^(unfortunately,? )?i (can['’]?t|cannot|won['’]?t|am unable to|['’]m unable to|am not able to)\b/i,
+  /^i['’]m not able to\b/i,
+];
+
+const RESPONSE_CLASS_DESCRIPTIONS = {
+  error: "The API answered with an error",
+  contentFiltered: "The reply was blocked by the content filter",
+  refusal: "The model refused to caption the image",
+  truncated: "The reply was cut off at the token limit",
+  empty: "The reply was empty",
+};
+
+/**
+ * Thrown for a reply that cannot be used as a caption. `responseClass` is
+ * one of RESPONSE_CLASSES and picks the policy that is applied to it.
+ */
+export class InvalidResponseError extends Error {
+  constructor(responseClass, details) {
+    const description = RESPONSE_CLASS_DESCRIPTIONS[responseClass];
+    super(details ? `${description}: ${details}` : description);
+    this.name = "InvalidResponseError";
+    this.responseClass = responseClass;
+  }
+}
+
+/**
+ * Checks a normalized completion before it is turned into a caption. Used by
+ * synchronous and batch processing alike.
+ *
+ * @param {Object|null} completion - The completion, as normalized by the provider.
+ * @returns {InvalidResponseError|null} - Why the reply cannot be used, or null if it can.
+ */
+export function getResponseError(completion) {
+  if (!completion) {
+    return new InvalidResponseError("error", "no completion was returned");
+  }
+  if (completion.raw && completion.raw.error) {
+    return new InvalidResponseError("error", completion.raw.error.message || JSON.stringify(completion.raw.error));
+  }
+  if (completion.finishReason === "content_filter") {
+    return new InvalidResponseError("contentFiltered");
+  }
+  if (completion.refusal) {
+    return new InvalidResponseError("refusal", completion.refusal);
+  }
+  if (completion.finishReason === "length") {
+    return new InvalidResponseError("truncated");
+  }
+  const text = typeof completion.text === "string" ? completion.text.trim() : "";
+  if (text === "") {
+    return new InvalidResponseError("empty");
+  }
+  const unquoted = text.replace(/^["'“‘`]+/, "");
+  if (REFUSAL_PATTERNS.some((pattern) => pattern.test(unquoted))) {
+    return new InvalidResponseError("refusal", text.length > 80 ? `${text.slice(0, 80)}...` : text);
+  }
+  return null;
+}
+
+/**
+ * Works out the request to send again after an unusable reply, following the
+ * policy for its class. raiseMaxTokens doubles the token limit up to
+ * MAX_RAISED_TOKENS and fails once it was reached.
+ *
+ * @param {InvalidResponseError} error - Why the reply could not be used.
+ * @param {Object} request - The request settings that got the reply, with `prompt` and `maxTokens`.
+ * @param {Object} settings
+ * @param {Object} settings.policies - The policy of each response class, from RESPONSE_POLICIES.
+ * @param {string} settings.alternatePrompt - The prompt sent by the alternatePrompt policy.
+ * @returns {Object|null} - The request settings to retry with, or null if the image is to be marked as failed.
+ */
+export function getRetryRequest(error, request, { policies, alternatePrompt }) {
+  switch (policies[error.responseClass]) {
+    case "fail":
+      return null;
+    case "alternatePrompt":
+      return { ...request, prompt: alternatePrompt };
+    case "raiseMaxTokens":
+      return request.maxTokens >= MAX_RAISED_TOKENS
+        ? null
+        : { ...request, maxTokens: Math.min(request.maxTokens * 2, MAX_RAISED_TOKENS) };
+    default:
+      return request;
+  }
+}
+
+/**
+ * Throws if response policies are not an object mapping response classes to policies.
+ *
+ * @param {*} policies - The policies to check.
+ * @param {string} source - Where the policies came from, used in error messages.
+ */
+export function validateResponsePolicies(policies, source) {
+  if (!policies || typeof policies !== "object" || Array.isArray(policies)) {
+    throw new Error(`Option "responsePolicies" in ${source} must be an object.`);
+  }
+  for (const [responseClass, policy] of Object.entries(policies)) {
+    if (!RESPONSE_CLASSES.includes(responseClass)) {
+      throw new Error(
+        `Unknown response class "${responseClass}" in "responsePolicies" in ${source}. ` +
+          `Response classes: ${RESPONSE_CLASSES.join(", ")}.`
+      );
+    }
+    if (!RESPONSE_POLICIES.includes(policy)) {
+      throw new Error(
+        `The policy for "${responseClass}" in "responsePolicies" in ${source} must be one of: ${RESPONSE_POLICIES.join(", ")}.`
+      );
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import fs from "fs";
+import path from "path";
+
+// Folder in the output folder that run logs are written to, unless a log file is given
+export const RUN_LOG_FOLDER = "logs";
+
+/**
+ * Returns the path of a new run log in an output folder, named after the
+ * time the run started.
+ *
+ * @param {string} outputFolderPath - The output folder.
+ * @param {Date} [startedAt] - When the run started.
+ * @returns {string} - e.g. "output/logs/run-2025-01-31T12-00-00-000Z.jsonl".
+ */
+export function getRunLogPath(outputFolderPath, startedAt = new Date()) {
+  const stamp = startedAt.toISOString().replace(/[:.]/g, "-");
+  return path.join(outputFolderPath, RUN_LOG_FOLDER, `run-${stamp}.jsonl`);
+}
+
+/**
+ * Writes the events of a captioner to a JSON Lines file, one record per
+ * line, each with a `type` and the `time` it happened:
+ * - "start": the image count, mode, provider and model of the run.
+ * - "result": the outcome of an image, with its attempts, timing, token usage and error.
+ * - "retry": a request sent again, with the error that caused it.
+ * - "batchStatus": a batch poll, with the batch's request counts.
+ * - "end": the totals of the run, or the error that stopped it.
+ *
+ * Every record is appended as it happens, so the log of a run that crashed
+ * is complete up to the crash.
+ *
+ * @param {EventEmitter} events - The captioner.
+ * @param {string} logPath - The file to write to. Its folder is created if needed.
+ * @returns {{path: string, end: Function}} - The log; `end` is called with the record that closes the run.
+ */
+export function createRunLog(events, logPath) {
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+
+  function write(type, record) {
+    fs.appendFileSync(logPath, JSON.stringify({ type, time: new Date().toISOString(), ...record }) + "\n");
+  }
+
+  const listeners = {
+    start: (start) => write("start", start),
+    result: ({ image, caption, error, ...result }) =>
+      write("result", { ...result, error: error ? describeError(error) : null }),
+    retry: ({ image, error, ...retry }) => write("retry", { ...retry, error: describeError(error) }),
+    batchStatus: (status) => write("batchStatus", status),
+  };
+  for (const [name, listener] of Object.entries(listeners)) {
+    events.on(name, listener);
+  }
+
+  return {
+    path: logPath,
+
+    /**
+     * Writes the closing record and stops listening.
+     *
+     * @param {Object} record - The totals of the run, or `{error}` if it failed.
+     */
+    end(record) {
+      for (const [name, listener] of Object.entries(listeners)) {
+        events.off(name, listener);
+      }
+      write("end", record.error ? { ...record, error: describeError(record.error) } : record);
+    },
+  };
+}
+
+// Errors are thrown Error objects or the `{code, message}` errors of batch results
+function describeError(error) {
+  return {
+    name: error.name || error.code || "Error",
+    message: error.message,
+    status: error.status ?? null,
+  };
+}
@@ -0,0 +1,207 @@
+import fs from "fs";
+import path from "path";
+import { getRelativeImagePath } from "./dataset.js";
+
+// Name of the manifest file written to the output folder of a batch run
+export const RUN_MANIFEST_FILE = "batch_run.json";
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Creates a new run manifest describing every batch of a batch run.
+ *
+ * Each batch starts out as "pending" and moves through "uploaded" and the
+ * statuses reported by the Batch API. `resultsWritten` is set once its
+ * captions are on disk, which is what makes a run safe to resume.
+ *
+ * @param {Object} settings - The settings the run was started with.
+ * @param {string} settings.provider - Name of the provider the batches are sent through.
+ * @param {Object} settings.prompts - The prompt of each image, by custom_id.
+ * @param {string} settings.modelId - The model ID to use.
+ * @param {string} settings.fidelity - The fidelity level (low, high, auto).
+ * @param {Object} [settings.responseSchema] - Structured response requested, as { name, schema }.
+ * @param {string} settings.fileExt - The file extension to use for output files.
+ * @param {string} settings.imagesFolder - The images folder; custom_ids are paths relative to it.
+ * @param {string} settings.outputLayout - Where captions are written, one of OUTPUT_LAYOUTS.
+ * @param {Object} settings.postProcessing - Post-processing settings, as taken by createPostProcessor.
+ * @param {Object} settings.exports - Caption file and export settings, as taken by createCaptionWriter.
+ * @param {Object} settings.cacheKeys - Caption cache key of each image, by custom_id.
+ * @param {number} settings.maxTokens - Maximum length of a reply in tokens.
+ * @param {Object} [settings.preprocessing] - How images are preprocessed, as taken by encodeImage.
+ * @param {Object} [settings.context] - Reference images and examples sent with every request, as taken by buildCaptionRequest.
+ * @param {Object} settings.responseHandling - Attempts per image and the policies for unusable replies.
+ * @param {Object} settings.batchLimits - Most requests and estimated input tokens per batch.
+ * @param {Object} settings.resubmission - How requests left unfinished by a batch are sent again.
+ * @param {string[][]} shards - The image paths of each batch.
+ * @returns {Object} - The new manifest.
+ */
+export function createRunManifest(
+  {
+    provider,
+    prompts,
+    modelId,
+    fidelity,
+    responseSchema,
+    fileExt,
+    imagesFolder,
+    outputLayout,
+    postProcessing,
+    exports,
+    cacheKeys,
+    maxTokens,
+    preprocessing,
+    context,
+    responseHandling,
+    batchLimits,
+    resubmission,
+  },
+  shards
+) {
+  const now = new Date().toISOString();
+  return {
+    version: MANIFEST_VERSION,
+    createdAt: now,
+    updatedAt: now,
+    provider,
+    prompts,
+    modelId,
+    fidelity,
+    responseSchema,
+    fileExt,
+    imagesFolder,
+    outputLayout,
+    postProcessing,
+    exports,
+    cacheKeys,
+    maxTokens,
+    preprocessing,
+    context,
+    responseHandling,
+    batchLimits,
+    resubmission,
+    batches: shards.map((imagePaths, index) =>
+      createBatchEntry(
+        index + 1,
+        Object.fromEntries(
+          imagePaths.map((imagePath) => [
+            getRelativeImagePath(imagesFolder, imagePath),
+            imagePath,
+          ])
+        )
+      )
+    ),
+  };
+}
+
+/**
+ * Adds a batch to a run, for images split off from another batch or sent
+ * again after their replies could not be used. It is run after the batches
+ * already running, like any other batch of the run.
+ *
+ * @param {Object} manifest - The run manifest.
+ * @param {Object} requests - Path of each image to send, by custom_id.
+ * @param {Object} [options]
+ * @param {number} [options.attempt] - Which attempt at these images the batch is, if not the first.
+ * @param {Object} [options.overrides] - Request settings that differ from the run's, such as the prompt or maxTokens, by custom_id.
+ * @returns {Object} - The new batch.
+ */
+export function addBatch(manifest, requests, { attempt, overrides } = {}) {
+  const batch = createBatchEntry(manifest.batches.length + 1, requests);
+  if (attempt) {
+    batch.attempt = attempt;
+  }
+  if (overrides) {
+    batch.overrides = overrides;
+  }
+  manifest.batches.push(batch);
+  return batch;
+}
+
+/**
+ * Returns the path of the run manifest in an output folder.
+ *
+ * @param {string} outputFolderPath - The output folder of the run.
+ * @returns {string} - The manifest path.
+ */
+export function getRunManifestPath(outputFolderPath) {
+  return path.join(outputFolderPath, RUN_MANIFEST_FILE);
+}
+
+/**
+ * Loads the run manifest from an output folder.
+ *
+ * @param {string} outputFolderPath - The output folder of the run.
+ * @returns {Object|null} - The manifest, or null if there is none.
+ */
+export function loadRunManifest(outputFolderPath) {
+  const manifestPath = getRunManifestPath(outputFolderPath);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(
+      `Unsupported run manifest version ${manifest.version} in ${manifestPath}.`
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Saves the run manifest to an output folder.
+ *
+ * The manifest is written to a temporary file first and then renamed, so a
+ * crash mid-write never leaves a truncated manifest behind.
+ *
+ * @param {string} outputFolderPath - The output folder of the run.
+ * @param {Object} manifest - The manifest to save.
+ */
+export function saveRunManifest(outputFolderPath, manifest) {
+  const manifestPath = getRunManifestPath(outputFolderPath);
+  const tempPath = `${manifestPath}.tmp`;
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Checks whether every batch of a run has had its results written.
+ *
+ * @param {Object} manifest - The run manifest.
+ * @returns {boolean} - True if nothing is left to do.
+ */
+export function isRunFinished(manifest) {
+  return manifest.batches.every((batch) => batch.resultsWritten);
+}
+
+/**
+ * Returns where the captions of a run are written, as taken by getCaptionPath.
+ *
+ * @param {Object} manifest - The run manifest.
+ * @param {string} outputFolderPath - The output folder of the run.
+ * @returns {Object} - The caption layout.
+ */
+export function getManifestLayout(manifest, outputFolderPath) {
+  // Runs from before subfolders were supported wrote every caption to the output folder
+  return {
+    imagesFolder: manifest.imagesFolder || "",
+    outputFolder: outputFolderPath,
+    outputLayout: manifest.outputLayout || "flat",
+    fileExt: manifest.fileExt,
+  };
+}
+
+function createBatchEntry(index, requests) {
+  return {
+    index,
+    state: "pending",
+    inputFileId: null,
+    batchId: null,
+    outputFileId: null,
+    errorFileId: null,
+    requestCounts: null,
+    resultsWritten: false,
+    requests,
+  };
+}
@@ -0,0 +1,138 @@
+// How multi-word tags are written: "long_hair" or "long hair"
+export const TAG_STYLES = ["space", "underscore"];
+
+// Structured response requested in tag mode. Every property is required and
+// optional values are nullable, as OpenAI's strict mode expects.
+export const TAG_RESPONSE_SCHEMA = {
+  name: "image_tags",
+  schema: {
+    type: "object",
+    properties: {
+      tags: {
+        type: "array",
+        description: "Booru-style tags for the image, most prominent first.",
+        items: {
+          type: "object",
+          properties: {
+            tag: { type: "string", description: "A single tag, e.g. long_hair." },
+            confidence: {
+              type: ["number", "null"],
+              description: "How sure you are the tag applies, from 0 to 1.",
+            },
+            category: {
+              type: ["string", "null"],
+              description: "Kind of tag, e.g. character, clothing, background, style.",
+            },
+          },
+          required: ["tag", "confidence", "category"],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ["tags"],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Thrown when a response in tag mode is not a valid tag list. The request is
+ * worth retrying, since models occasionally answer with malformed JSON.
+ */
+export class TagResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TagResponseError";
+  }
+}
+
+/**
+ * Returns the structured response schema a mode requests, if any.
+ *
+ * @param {string} mode - "caption" or "tags".
+ * @returns {Object|undefined} - The schema, as { name, schema }.
+ */
+export function getResponseSchema(mode) {
+  return mode === "tags" ? TAG_RESPONSE_SCHEMA : undefined;
+}
+
+/**
+ * Parses and validates a response in tag mode.
+ *
+ * @param {string} text - The model's answer, a JSON document matching TAG_RESPONSE_SCHEMA.
+ * @returns {{tag: string, confidence: number|null, category: string|null}[]} - The tags, in the order given.
+ * @throws {TagResponseError} - If the answer is not valid JSON or does not match the schema.
+ */
+export function parseTagResponse(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new TagResponseError(`The tag response is not valid JSON: ${error.message}`);
+  }
+  if (!data || !Array.isArray(data.tags)) {
+    throw new TagResponseError('The tag response has no "tags" array.');
+  }
+
+  return data.tags.map((entry, index) => {
+    // Some models answer with plain strings despite the schema
+    const item = typeof entry === "string" ? { tag: entry } : entry;
+    if (!item || typeof item.tag !== "string") {
+      throw new TagResponseError(`Tag ${index + 1} of the tag response has no "tag" string.`);
+    }
+    if (item.confidence !== undefined && item.confidence !== null && typeof item.confidence !== "number") {
+      throw new TagResponseError(`The confidence of tag "${item.tag}" is not a number.`);
+    }
+    return {
+      tag: item.tag,
+      confidence: typeof item.confidence === "number" ? item.confidence : null,
+      category: typeof item.category === "string" ? item.category : null,
+    };
+  });
+}
+
+/**
+ * Turns parsed tags into a comma-separated tag list.
+ *
+ * Tags are normalized to the chosen style, deduplicated and filtered. Tags
+ * with a confidence are ordered by it, most confident first; the rest keep
+ * the order the model gave them in, after the ones with a confidence.
+ *
+ * @param {Object[]} tags - Tags from parseTagResponse.
+ * @param {Object} settings
+ * @param {string} [settings.style="space"] - One of TAG_STYLES.
+ * @param {string[]} [settings.whitelist=[]] - When not empty, only these tags are kept.
+ * @param {string[]} [settings.blacklist=[]] - Tags that are always dropped.
+ * @param {number} [settings.maxTags] - Maximum number of tags to keep.
+ * @returns {string} - e.g. "1girl, long hair, smile".
+ */
+export function formatTags(tags, { style = "space", whitelist = [], blacklist = [], maxTags } = {}) {
+  const allowed = new Set(whitelist.map((tag) => normalizeTag(tag, style)));
+  const banned = new Set(blacklist.map((tag) => normalizeTag(tag, style)));
+
+  const ranked = tags
+    .map((item, index) => ({ ...item, tag: normalizeTag(item.tag, style), index }))
+    .sort((a, b) => rankTag(b) - rankTag(a) || a.index - b.index);
+
+  const seen = new Set();
+  const kept = [];
+  for (const { tag } of ranked) {
+    if (tag === "" || seen.has(tag) || banned.has(tag) || (allowed.size > 0 && !allowed.has(tag))) {
+      continue;
+    }
+    seen.add(tag);
+    kept.push(tag);
+  }
+
+  return (maxTags ? kept.slice(0, maxTags) : kept).join(", ");
+}
+
+function rankTag({ confidence }) {
+  return confidence === null ? -1 : confidence;
+}
+
+// Lowercases a tag and writes the gaps between its words in the chosen style.
+// Underscores that are not between two words, as in the emoticon "^_^", are kept.
+function normalizeTag(tag, style) {
+  const words = tag.trim().toLowerCase().split(/\s+|(?<=\w)_+(?=\w)/).filter(Boolean);
+  return words.join(style === "underscore" ? "_" : " ");
+}
@@ -0,0 +1,210 @@
+import fs from "fs";
+import path from "path";
+import { estimateContextTokens, estimateImageTokens } from "./costEstimator.js";
+import { formatUSD, getModelPricing, tokensToUSD } from "./pricing.js";
+import { logger } from "./logger.js";
+
+// Name of the file in the output folder that the usage of the last run is written to
+export const RUN_SUMMARY_FILE = "run_summary.json";
+
+/**
+ * Thrown for, or recorded against, an image whose request was not sent
+ * because it would have taken the run over its budget.
+ */
+export class BudgetExceededError extends Error {
+  constructor(budget) {
+    super(`The run's budget of ${formatUSD(budget)} would be exceeded.`);
+    this.name = "BudgetExceededError";
+  }
+}
+
+/**
+ * Tracks the tokens a run is billed for and what they cost, from the usage
+ * reported with every reply, and holds the run to an optional budget.
+ *
+ * Usage is read from the "retry" and "result" events of the run: a retry
+ * carries the usage of the reply that was sent again, a result the usage of
+ * the last reply. Input tokens are split into image and prompt tokens: the
+ * image part is taken from the API when it reports it (Gemini) and estimated
+ * from the size of the image and of any reference images otherwise. Batch
+ * replies are priced with the Batch API discount.
+ *
+ * Requests reserve their projected cost before they are sent and release it
+ * once their usage is known. A reservation is refused when what was spent,
+ * what is reserved and the new request together would exceed the budget.
+ *
+ * @param {EventEmitter} events - The emitter the run reports its results and retries on.
+ * @param {Object} settings
+ * @param {Object} settings.provider - The provider, which knows how it counts image tokens.
+ * @param {string} settings.modelId - The model the tokens are spent on.
+ * @param {string} settings.fidelity - The fidelity level (low, high, auto).
+ * @param {number} [settings.maxEdge] - Longest edge images are downsized to, if they are preprocessed.
+ * @param {Object} [settings.context] - Reference images and examples sent with every request.
+ * @param {number} settings.expectedOutputTokens - Expected caption length in tokens, for projections.
+ * @param {number|null} [settings.budget] - Most the run may spend in USD, or null for no limit.
+ * @returns {Object} - The tracker.
+ * @throws {Error} - If a budget is set for a model whose price is unknown.
+ */
+export function createUsageTracker(
+  events,
+  { provider, modelId, fidelity, maxEdge, context = null, expectedOutputTokens, budget = null }
+) {
+  const priced = getModelPricing(modelId) !== null;
+  if (budget !== null && !priced) {
+    throw new Error(
+      `No price is known for ${modelId}, so a budget cannot be kept. Add it to MODEL_PRICING in src/utils/pricing.js.`
+    );
+  }
+  const images = new Map();
+  const total = { replies: 0, promptTokens: 0, imageTokens: 0, completionTokens: 0, usd: priced ? 0 : null };
+  const reservations = new Map();
+  let refused = 0;
+  // The same reference images go with every request
+  const contextImageTokens = estimateContextTokens(provider, context, modelId, fidelity, maxEdge).imageTokens;
+
+  function addUsage({ image, file, usage, mode }) {
+    if (!usage) {
+      return;
+    }
+    const inputTokens = usage.inputTokens || 0;
+    const completionTokens = usage.outputTokens || 0;
+    const imageTokens =
+      usage.imageTokens ??
+      Math.min(estimateImageTokens(provider, image, modelId, fidelity, maxEdge) + contextImageTokens, inputTokens);
+    const usd = tokensToUSD(modelId, inputTokens, completionTokens, mode === "batch");
+
+    if (!images.has(file)) {
+      images.set(file, {
+        file,
+        mode,
+        status: null,
+        replies: 0,
+        promptTokens: 0,
+        imageTokens: 0,
+        completionTokens: 0,
+        usd: priced ? 0 : null,
+      });
+    }
+    for (const entry of [images.get(file), total]) {
+      entry.replies++;
+      entry.promptTokens += inputTokens - imageTokens;
+      entry.imageTokens += imageTokens;
+      entry.completionTokens += completionTokens;
+      if (priced) {
+        entry.usd += usd;
+      }
+    }
+  }
+
+  events.on("retry", addUsage);
+  events.on("result", (result) => {
+    addUsage(result);
+    if (images.has(result.file)) {
+      images.get(result.file).status = result.status;
+    }
+    if (result.error instanceof BudgetExceededError) {
+      refused++;
+    }
+  });
+
+  const reservedUSD = () => [...reservations.values()].reduce((sum, usd) => sum + usd, 0);
+
+  return {
+    budget,
+
+    /**
+     * Projects the cost of requests before they are sent.
+     *
+     * @param {number} inputTokens - Estimated input tokens of the requests.
+     * @param {number} requests - How many requests there are, each expected to get a caption of the usual length.
+     * @param {boolean} isBatch - Whether the Batch API discount applies.
+     * @returns {number} - The projected cost in USD, or 0 if the model's price is unknown.
+     */
+    project(inputTokens, requests, isBatch) {
+      return tokensToUSD(modelId, inputTokens, requests * expectedOutputTokens, isBatch) || 0;
+    },
+
+    /**
+     * Reserves the projected cost of requests that are about to be sent.
+     *
+     * @param {string} key - What the reservation is for, such as an image or a batch.
+     * @param {number} usd - The projected cost.
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Reserve even over budget, for requests that were already sent.
+     * @returns {boolean} - False if the requests would take the run over its budget and must not be sent.
+     */
+    reserve(key, usd, { force = false } = {}) {
+      if (!force && budget !== null && total.usd + reservedUSD() + usd > budget) {
+        return false;
+      }
+      reservations.set(key, usd);
+      return true;
+    },
+
+    /**
+     * Releases a reservation once the usage of its requests has been reported.
+     *
+     * @param {string} key - What the reservation was for.
+     */
+    release(key) {
+      reservations.delete(key);
+    },
+
+    /**
+     * Returns the usage of the run so far.
+     *
+     * @returns {Object} - The model, budget, totals and the usage of every image that was sent.
+     */
+    summary() {
+      return {
+        modelId,
+        budget,
+        total: {
+          replies: total.replies,
+          inputTokens: total.promptTokens + total.imageTokens,
+          promptTokens: total.promptTokens,
+          imageTokens: total.imageTokens,
+          completionTokens: total.completionTokens,
+          usd: total.usd,
+          refused,
+        },
+        images: [...images.values()].sort((a, b) => a.file.localeCompare(b.file)),
+      };
+    },
+  };
+}
+
+/**
+ * Writes the usage of a run to the run summary file in the output folder,
+ * replacing the one of an earlier run.
+ *
+ * @param {string} outputFolderPath - The output folder.
+ * @param {Object} summary - The usage, as returned by the tracker's summary().
+ * @returns {string} - Path to the run summary file.
+ */
+export function writeRunSummary(outputFolderPath, summary) {
+  const summaryPath = path.join(outputFolderPath, RUN_SUMMARY_FILE);
+  fs.mkdirSync(outputFolderPath, { recursive: true });
+  fs.writeFileSync(
+    summaryPath,
+    JSON.stringify({ createdAt: new Date().toISOString(), ...summary }, null, 2)
+  );
+  return summaryPath;
+}
+
+/**
+ * Prints the token usage and cost of a run.
+ *
+ * @param {Object} summary - The usage, as returned by the tracker's summary().
+ */
+export function printUsageSummary({ modelId, budget, total }) {
+  logger.log(
+    `Usage with ${modelId}: ${total.inputTokens} input tokens (${total.promptTokens} prompt, ` +
+      `${total.imageTokens} image), ${total.completionTokens} completion tokens, ` +
+      `${formatUSD(total.usd)} over ${total.replies} replies` +
+      (budget !== null ? ` of a ${formatUSD(budget)} budget.` : ".")
+  );
+  if (total.refused > 0) {
+    logger.log(`${total.refused} image(s) were not sent to stay within the budget.`);
+  }
+}
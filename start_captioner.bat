@@ -1,6 +1,6 @@
     @echo off
     call git pull
     call npm install
-    node src/index.js
+    node src/index.js %*
     pause
     
\ No newline at end of file
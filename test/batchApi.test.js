@@ -0,0 +1,261 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { Response } from "node-fetch";
+import sharp from "sharp";
+import { downloadBatch, processBatchImages } from "../src/api/batchApi.js";
+import { createOpenAIProvider } from "../src/providers/openai.js";
+import { createCaptionCache } from "../src/utils/captionCache.js";
+import { runWithLogger } from "../src/utils/logger.js";
+import { DEFAULT_RESPONSE_POLICIES } from "../src/utils/responseValidation.js";
+
+const tempFolders = [];
+after(() => {
+  for (const folder of tempFolders) {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test("requests that failed in a completed batch are recorded with the error from its error file", async () => {
+  const { imagesFolder, outputFolder, imagePaths } = await createDataset(["a.png", "b.png", "c.png"]);
+  const provider = createFakeBatchProvider([
+    {
+      output: [successLine("a.png", "A red square.")],
+      errors: [errorLine("b.png", 400, { code: "invalid_image", message: "The image could not be read." })],
+    },
+  ]);
+
+  await runBatch(provider, imagesFolder, outputFolder, imagePaths);
+
+  assert.equal(fs.readFileSync(path.join(outputFolder, "a.txt"), "utf8"), "A red square.");
+  const failures = readFailures(outputFolder);
+  assert.deepEqual(Object.keys(failures).sort(), ["b.png", "c.png"]);
+  assert.equal(failures["b.png"].errorClass, "invalid_image");
+  assert.equal(failures["b.png"].status, 400);
+  assert.equal(failures["b.png"].message, "The image could not be read.");
+  // Only an image that is in neither file is missing
+  assert.equal(failures["c.png"].errorClass, "MissingResultError");
+});
+
+test("rejected requests in a batch are sent again on the statuses sync mode retries", async () => {
+  const { imagesFolder, outputFolder, imagePaths } = await createDataset(["a.png", "b.png"]);
+  const provider = createFakeBatchProvider([
+    {
+      errors: [
+        errorLine("a.png", 500, { code: "server_error", message: "The server had an error." }),
+        errorLine("b.png", 400, { code: "invalid_request_error", message: "The request is invalid." }),
+      ],
+    },
+    { output: [successLine("a.png", "A red square.")] },
+  ]);
+
+  await runBatch(provider, imagesFolder, outputFolder, imagePaths, { maxAttempts: 2 });
+
+  assert.equal(provider.batchesCreated(), 2);
+  assert.equal(fs.readFileSync(path.join(outputFolder, "a.txt"), "utf8"), "A red square.");
+  const failures = readFailures(outputFolder);
+  assert.deepEqual(Object.keys(failures), ["b.png"]);
+  assert.equal(failures["b.png"].status, 400);
+  assert.equal(failures["b.png"].attempts, 1);
+});
+
+test("an invalid tag list in a batch is sent again, as in sync mode", async () => {
+  const { imagesFolder, outputFolder, imagePaths } = await createDataset(["a.png"]);
+  const provider = createFakeBatchProvider([
+    { output: [successLine("a.png", "a red square")] },
+    { output: [successLine("a.png", JSON.stringify({ tags: ["red", "square"] }))] },
+  ]);
+
+  await runBatch(provider, imagesFolder, outputFolder, imagePaths, { maxAttempts: 2, postProcessing: { tags: {} } });
+
+  assert.equal(fs.readFileSync(path.join(outputFolder, "a.txt"), "utf8"), "red, square");
+  assert.equal(fs.existsSync(path.join(outputFolder, "failures.json")), false);
+});
+
+test("requests an expired batch never ran are sent one at a time with their own token limit", async () => {
+  const { imagesFolder, outputFolder, imagePaths } = await createDataset(["a.png"]);
+  const truncated = successLine("a.png", "A red");
+  truncated.response.body.choices[0].finish_reason = "length";
+  const provider = createFakeBatchProvider([{ output: [truncated] }, { status: "expired" }]);
+
+  await runBatch(provider, imagesFolder, outputFolder, imagePaths, {
+    maxAttempts: 3,
+    resubmission: { mode: "sync", concurrency: 1 },
+  });
+
+  assert.equal(provider.chatRequests.length, 1);
+  assert.equal(provider.chatRequests[0].max_tokens, 200);
+  assert.equal(fs.readFileSync(path.join(outputFolder, "a.txt"), "utf8"), "A red square.");
+});
+
+test("an expired batch from outside the run is written as far as it got", async () => {
+  const { imagesFolder, outputFolder } = await createDataset(["a.png", "b.png"]);
+  const provider = createFakeBatchProvider([
+    {
+      status: "expired",
+      output: [successLine("a.png", "A red square.")],
+      errors: [errorLine("b.png", null, null, { code: "batch_expired", message: "This request could not be executed." })],
+    },
+  ]);
+
+  await downloadBatch(provider, "batch-1", outputFolder, createDisabledCache(outputFolder), {
+    layout: { imagesFolder, outputFolder, outputLayout: "mirror", fileExt: "txt" },
+    postProcessing: {},
+    exportSettings: { captionFiles: true, formats: [] },
+  });
+
+  assert.equal(fs.readFileSync(path.join(outputFolder, "a.txt"), "utf8"), "A red square.");
+  assert.equal(fs.existsSync(path.join(outputFolder, "b.txt")), false);
+  assert.equal(fs.existsSync(path.join(outputFolder, "failures.json")), false);
+});
+
+test("downloading a batch of the run tells to resume for the retries it queues", async () => {
+  const { imagesFolder, outputFolder, imagePaths } = await createDataset(["a.png"]);
+  const serverError = errorLine("a.png", 500, { code: "server_error", message: "The server had an error." });
+  const provider = createFakeBatchProvider([
+    { errors: [serverError] },
+    { output: [successLine("a.png", "A red square.")] },
+  ]);
+  await runBatch(provider, imagesFolder, outputFolder, imagePaths, { maxAttempts: 2 });
+
+  const messages = [];
+  const collect = (...args) => messages.push(args.join(" "));
+  await runWithLogger({ log: collect, info: collect, warn: collect, error: collect }, () =>
+    downloadBatch(provider, "batch-1", outputFolder, createDisabledCache(outputFolder), {})
+  );
+
+  assert.equal(provider.batchesCreated(), 2);
+  assert.match(
+    messages.join("\n"),
+    /Batch\(es\) 3 of this run, with images to send again, are not submitted yet; run again with --resume/
+  );
+});
+
+/**
+ * Runs the images through processBatchImages, sending each at most
+ * `maxAttempts` times.
+ */
+async function runBatch(
+  provider,
+  imagesFolder,
+  outputFolder,
+  imagePaths,
+  { maxAttempts = 1, postProcessing = {}, resubmission = { mode: "none" } } = {}
+) {
+  await processBatchImages(
+    provider,
+    imagePaths,
+    new Map(imagePaths.map((imagePath) => [imagePath, "Describe the image."])),
+    { modelId: "gpt-4o", fidelity: "low", maxTokens: 100 },
+    { imagesFolder, outputFolder, outputLayout: "mirror", fileExt: "txt" },
+    createDisabledCache(outputFolder),
+    postProcessing,
+    { captionFiles: true, formats: [] },
+    { maxAttempts, policies: DEFAULT_RESPONSE_POLICIES },
+    {},
+    resubmission
+  );
+}
+
+/**
+ * Creates an OpenAI provider whose files and batches APIs are answered in
+ * memory. Batch "batch-N" ends at once with the Nth of the given results:
+ * "completed" unless another status is given, with the given output and error
+ * files. Batches that are created get the next number. Chat completions are
+ * answered with "A red square." and kept in `chatRequests`.
+ */
+function createFakeBatchProvider(batchResults) {
+  const chatRequests = [];
+  let created = 0;
+  const json = (data) =>
+    new Response(JSON.stringify(data), { status: 200, headers: { "Content-Type": "application/json" } });
+  const jsonLines = (lines) => new Response(lines.map((line) => JSON.stringify(line) + "\n").join(""));
+
+  async function transport(url, { method = "GET", body } = {}) {
+    const { pathname } = new URL(url);
+    if (method === "POST" && pathname === "/v1/chat/completions") {
+      chatRequests.push(JSON.parse(body));
+      return json(successLine(null, "A red square.").response.body);
+    }
+    if (method === "POST" && pathname === "/v1/files") {
+      return json({ id: "file-input" });
+    }
+    if (method === "POST" && pathname === "/v1/batches") {
+      created++;
+      return json({ id: `batch-${created}` });
+    }
+    const batchMatch = pathname.match(/^\/v1\/batches\/batch-(\d+)$/);
+    if (batchMatch) {
+      const { status = "completed", output = [], errors = [] } = batchResults[batchMatch[1] - 1];
+      return json({
+        id: `batch-${batchMatch[1]}`,
+        status,
+        // The API leaves out the files that would be empty
+        output_file_id: output.length > 0 ? `file-output-${batchMatch[1]}` : null,
+        error_file_id: errors.length > 0 ? `file-error-${batchMatch[1]}` : null,
+      });
+    }
+    const fileMatch = pathname.match(/^\/v1\/files\/file-(output|error)-(\d+)\/content$/);
+    if (fileMatch) {
+      const { output = [], errors = [] } = batchResults[fileMatch[2] - 1];
+      return jsonLines(fileMatch[1] === "output" ? output : errors);
+    }
+    return new Response("Not found", { status: 404 });
+  }
+
+  const provider = createOpenAIProvider({ apiKey: "test", transport });
+  // Polls are answered at once, so there is nothing to wait for
+  provider.replaying = true;
+  provider.batchesCreated = () => created;
+  provider.chatRequests = chatRequests;
+  return provider;
+}
+
+function createDisabledCache(outputFolder) {
+  return createCaptionCache({ dir: path.join(outputFolder, ".cache"), enabled: false, settings: {} });
+}
+
+function successLine(customId, text) {
+  return {
+    custom_id: customId,
+    response: {
+      status_code: 200,
+      body: {
+        choices: [{ message: { content: text }, finish_reason: "stop" }],
+        usage: { prompt_tokens: 100, completion_tokens: 10 },
+      },
+    },
+    error: null,
+  };
+}
+
+function errorLine(customId, status, error, requestError = null) {
+  return {
+    custom_id: customId,
+    response: status === null ? null : { status_code: status, body: { error } },
+    error: requestError,
+  };
+}
+
+async function createDataset(names) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-batch-"));
+  tempFolders.push(root);
+  const imagesFolder = path.join(root, "images");
+  const outputFolder = path.join(root, "output");
+  fs.mkdirSync(imagesFolder);
+  fs.mkdirSync(outputFolder);
+  const imagePaths = [];
+  for (const name of names) {
+    const imagePath = path.join(imagesFolder, name);
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: "red" } }).png().toFile(imagePath);
+    imagePaths.push(imagePath);
+  }
+  return { imagesFolder, outputFolder, imagePaths };
+}
+
+function readFailures(outputFolder) {
+  const { images } = JSON.parse(fs.readFileSync(path.join(outputFolder, "failures.json"), "utf8"));
+  return Object.fromEntries(images.map(({ file, ...failure }) => [file, failure]));
+}
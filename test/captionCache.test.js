@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { createCaptionCache } from "../src/utils/captionCache.js";
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-cache-"));
+after(() => {
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+const SETTINGS = {
+  provider: "openai",
+  modelId: "gpt-4o",
+  prompt: null,
+  fidelity: "low",
+  mode: "caption",
+  maxTokens: 512,
+  responsePolicies: { truncated: "raiseMaxTokens" },
+};
+const PROMPT = { prompt: "Describe the image." };
+
+test("the key of an image follows its content, not its path", () => {
+  const cache = createTestCache(SETTINGS);
+  const original = writeImage("a.png", "first");
+  const moved = writeImage("moved/a.png", "first");
+  const key = cache.keyFor(original, PROMPT);
+
+  assert.equal(cache.keyFor(moved, PROMPT), key);
+  writeImage("a.png", "edited");
+  assert.notEqual(cache.keyFor(original, PROMPT), key);
+});
+
+test("every setting of the request and of the replies it accepts is part of the key", () => {
+  const imagePath = writeImage("b.png", "content");
+  const key = createTestCache(SETTINGS).keyFor(imagePath, PROMPT);
+
+  assert.notEqual(createTestCache(SETTINGS).keyFor(imagePath, { prompt: "Describe the outfit." }), key);
+  const changes = [
+    { modelId: "gpt-4o-mini" },
+    { fidelity: "high" },
+    { mode: "tags" },
+    { maxTokens: 1024 },
+    { responsePolicies: { truncated: "fail" } },
+  ];
+  for (const changed of changes) {
+    assert.notEqual(createTestCache({ ...SETTINGS, ...changed }).keyFor(imagePath, PROMPT), key);
+  }
+});
+
+test("cached captions are read back by their key", () => {
+  const cache = createTestCache(SETTINGS);
+  const imagePath = writeImage("c.png", "cached");
+  const key = cache.keyFor(imagePath, PROMPT);
+
+  assert.equal(cache.get(key), null);
+  cache.set(key, "A red square.", imagePath);
+  assert.equal(cache.get(key), "A red square.");
+});
+
+test("a disabled cache and an unreadable image have no key", () => {
+  const imagePath = writeImage("d.png", "content");
+
+  const disabled = createCaptionCache({ dir: path.join(folder, "cache"), enabled: false, settings: SETTINGS });
+  assert.equal(disabled.keyFor(imagePath), null);
+  assert.equal(createTestCache(SETTINGS).keyFor(path.join(folder, "missing.png")), null);
+});
+
+function createTestCache(settings) {
+  return createCaptionCache({ dir: path.join(folder, "cache"), enabled: true, settings });
+}
+
+// Only the bytes of an image make its key, so any content will do
+function writeImage(relativePath, content) {
+  const imagePath = path.join(folder, relativePath);
+  fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+  fs.writeFileSync(imagePath, content);
+  return imagePath;
+}
@@ -0,0 +1,13 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createCaptioner } from "../src/captioner.js";
+
+test("library options are checked like those of the config file", () => {
+  assert.throws(() => createCaptioner({ concurrency: 0 }), {
+    message: 'Option "concurrency" in createCaptioner options must be a whole number of at least 1.',
+  });
+  assert.throws(() => createCaptioner({ concurency: 4 }), {
+    message: 'Unknown option "concurency" in createCaptioner options.',
+  });
+  assert.equal(createCaptioner({ concurrency: 8, dryRun: true, model: undefined }).options.concurrency, 8);
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { createCassetteTransport } from "../src/providers/cassette.js";
+
+const tempFolders = [];
+let server;
+let baseUrl;
+let hits = 0;
+before(async () => {
+  // Answers every request with its method, its body and how many requests came before it
+  server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      hits++;
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({ method: request.method, body, hit: hits }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.close();
+  for (const folder of tempFolders) {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test("a replayed request gets its recorded response without reaching the network", async () => {
+  const dir = createCassetteFolder();
+  const request = { method: "POST", headers: { Authorization: "Bearer sk-secret" }, body: '{"model":"gpt-4o"}' };
+  const url = `${baseUrl}/v1/chat/completions`;
+  const recorded = await (await createCassetteTransport({ mode: "record", dir })(url, request)).json();
+
+  const hitsBefore = hits;
+  const response = await createCassetteTransport({ mode: "replay", dir })(url, request);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), recorded);
+  assert.equal(hits, hitsBefore);
+  // API keys are never written to the cassette
+  assert.deepEqual(readRequests(dir)[0].headers, {});
+});
+
+test("a request sent more than once gets its recorded responses in order", async () => {
+  const dir = createCassetteFolder();
+  const record = createCassetteTransport({ mode: "record", dir });
+  const first = await (await record(`${baseUrl}/v1/batches/batch-1`)).json();
+  const second = await (await record(`${baseUrl}/v1/batches/batch-1`)).json();
+
+  const replay = createCassetteTransport({ mode: "replay", dir });
+  assert.deepEqual(await (await replay(`${baseUrl}/v1/batches/batch-1`)).json(), first);
+  assert.deepEqual(await (await replay(`${baseUrl}/v1/batches/batch-1`)).json(), second);
+  await assert.rejects(replay(`${baseUrl}/v1/batches/batch-1`), {
+    message: /has no recorded response for GET .*\/v1\/batches\/batch-1 \(request 3 of its kind\)/,
+  });
+});
+
+test("a request with another body is not answered from the cassette", async () => {
+  const dir = createCassetteFolder();
+  await createCassetteTransport({ mode: "record", dir })(`${baseUrl}/v1/chat/completions`, {
+    method: "POST",
+    body: '{"model":"gpt-4o"}',
+  });
+
+  const replay = createCassetteTransport({ mode: "replay", dir });
+  const otherModel = { method: "POST", body: '{"model":"gpt-4o-mini"}' };
+  await assert.rejects(replay(`${baseUrl}/v1/chat/completions`, otherModel), {
+    message: /has no recorded response for POST/,
+  });
+  assert.throws(() => createCassetteTransport({ mode: "replay", dir: path.join(dir, "missing") }), {
+    message: /does not exist\. Record it first with --record\./,
+  });
+});
+
+test("inline images of every provider are shortened in the recorded requests", async () => {
+  const dir = createCassetteFolder();
+  const base64 = "A".repeat(400);
+  const record = createCassetteTransport({ mode: "record", dir });
+
+  await record(`${baseUrl}/v1/chat/completions`, {
+    method: "POST",
+    body: JSON.stringify({ content: [{ type: "image_url", image_url: { url: `data:image/png;base64,${base64}` } }] }),
+  });
+  await record(`${baseUrl}/v1/messages`, {
+    method: "POST",
+    body: JSON.stringify({
+      content: [{ type: "image", source: { type: "base64", media_type: "image/png", data: base64 } }],
+    }),
+  });
+  await record(`${baseUrl}/v1beta/models/gemini:generateContent`, {
+    method: "POST",
+    body: JSON.stringify({ contents: [{ parts: [{ inline_data: { mime_type: "image/png", data: base64 } }] }] }),
+  });
+
+  const recorded = readRequests(dir);
+  assert.equal(recorded.length, 3);
+  for (const { body } of recorded) {
+    assert.equal(body.includes(base64), false);
+    assert.match(body, /<\d+ characters>/);
+  }
+});
+
+function createCassetteFolder() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-cassette-"));
+  tempFolders.push(root);
+  return path.join(root, "cassette");
+}
+
+function readRequests(dir) {
+  return fs
+    .readdirSync(dir)
+    .map((name) => JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")).request);
+}
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { loadConfig, resolveOptions } from "../src/utils/config.js";
+
+const configFolder = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-config-"));
+after(() => {
+  fs.rmSync(configFolder, { recursive: true, force: true });
+});
+
+test("counts and limits must be whole numbers of at least 1", () => {
+  for (const value of [0, -2, 2.5, "4"]) {
+    assert.throws(() => loadTestConfig({ defaults: { concurrency: value } }), {
+      message: /Option "concurrency" in "defaults" in .* must be a whole number of at least 1\./,
+    });
+  }
+  assert.throws(() => loadTestConfig({ profiles: { cheap: { maxTokens: 0 } } }), {
+    message: /Option "maxTokens" in profile "cheap"/,
+  });
+  assert.deepEqual(loadTestConfig({ defaults: { concurrency: 8, maxAttempts: 1 } }).defaults, {
+    concurrency: 8,
+    maxAttempts: 1,
+  });
+});
+
+test("a budget must be a number greater than 0", () => {
+  assert.throws(() => loadTestConfig({ defaults: { budget: 0 } }), {
+    message: /Option "budget" .* must be a number greater than 0\./,
+  });
+  assert.equal(loadTestConfig({ defaults: { budget: 2.5 } }).defaults.budget, 2.5);
+});
+
+test("command-line flags are checked before they are merged", () => {
+  const config = { defaults: {}, profiles: {} };
+  assert.throws(() => resolveOptions(config, undefined, { maxTokens: 0 }), {
+    message: 'Option "maxTokens" in command-line flags must be a whole number of at least 1.',
+  });
+  assert.throws(() => resolveOptions(config, undefined, { config: "captioner.config.json" }), {
+    message: 'Unknown option "config" in command-line flags.',
+  });
+  const options = resolveOptions(config, undefined, { resume: true, dryRun: undefined, maxTokens: 300 });
+  assert.equal(options.resume, true);
+  assert.equal(options.maxTokens, 300);
+});
+
+function loadTestConfig(config) {
+  const configPath = path.join(configFolder, "captioner.config.json");
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return loadConfig(configPath, true);
+}
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import sharp from "sharp";
+import { estimateRunCost } from "../src/utils/costEstimator.js";
+import { formatUSD, getModelPricing, tokensToUSD } from "../src/utils/pricing.js";
+
+const imagesFolder = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-cost-"));
+after(() => {
+  fs.rmSync(imagesFolder, { recursive: true, force: true });
+});
+
+test("dated snapshots and -latest aliases are priced as the model they point to", () => {
+  assert.deepEqual(getModelPricing("gpt-4o-2024-08-06"), getModelPricing("gpt-4o"));
+  assert.deepEqual(getModelPricing("claude-sonnet-4-20250514"), { input: 3, output: 15 });
+  assert.deepEqual(getModelPricing("Claude-3-5-Haiku-Latest"), { input: 0.8, output: 4 });
+  assert.equal(getModelPricing("llava:13b"), null);
+});
+
+test("tokens are priced per million, at half price in a batch", () => {
+  assert.equal(tokensToUSD("gpt-4o", 1_000_000, 1_000_000), 12.5);
+  assert.equal(tokensToUSD("gpt-4o", 1_000_000, 1_000_000, true), 6.25);
+  assert.equal(tokensToUSD("llava:13b", 1000, 100), null);
+  assert.equal(formatUSD(12.5), "$12.50");
+  assert.equal(formatUSD(0.00425), "$0.0043");
+  assert.equal(formatUSD(null), "unknown");
+});
+
+test("the cost of a run is estimated per folder from the downsized images", async () => {
+  const wide = await createImage("1_wide/a.png", 200, 100);
+  const square = await createImage("2_square/b.png", 400, 400);
+  // Its size cannot be read, so it is counted as the largest image there can be
+  const unreadable = path.join(imagesFolder, "2_square", "c.png");
+  fs.writeFileSync(unreadable, "not an image");
+  const imagePaths = [wide, square, unreadable];
+
+  const estimate = estimateRunCost({
+    // One token per 100 pixels
+    provider: { estimateImageTokens: (width, height) => (width * height) / 100 },
+    imagePaths,
+    prompts: new Map(imagePaths.map((imagePath) => [imagePath, "Describe it."])),
+    modelId: "gpt-4o",
+    fidelity: "high",
+    isBatch: true,
+    expectedOutputTokens: 100,
+    maxEdge: 200,
+  });
+
+  // 3 prompt tokens and 7 tokens of message format around every image
+  assert.deepEqual(
+    estimate.rows.map(({ folder, images, inputTokens, outputTokens }) => [
+      path.basename(folder),
+      images,
+      inputTokens,
+      outputTokens,
+    ]),
+    [
+      ["1_wide", 1, 210, 100],
+      ["2_square", 2, 820, 200],
+    ]
+  );
+  assert.equal(estimate.total.inputTokens, 1030);
+  assert.equal(estimate.total.outputTokens, 300);
+  assert.equal(estimate.total.usd, tokensToUSD("gpt-4o", 1030, 300, true));
+  assert.equal(estimate.unknownDimensions, 1);
+});
+
+async function createImage(relativePath, width, height) {
+  const imagePath = path.join(imagesFolder, relativePath);
+  fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+  await sharp({ create: { width, height, channels: 3, background: "red" } }).png().toFile(imagePath);
+  return imagePath;
+}
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import sharp from "sharp";
+import { DRY_RUN_FOLDER, PLAN_FILE, planRun } from "../src/api/dryRun.js";
+import { createOpenAIProvider } from "../src/providers/openai.js";
+import { createCaptionCache } from "../src/utils/captionCache.js";
+import { runWithLogger } from "../src/utils/logger.js";
+
+const tempFolders = [];
+after(() => {
+  for (const folder of tempFolders) {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test("a dry run plans the batches a run would send without writing any caption", async () => {
+  const { layout, imagePaths, cache } = await createDataset(["a.png", "b.png", "c.png", "d.png"]);
+  cache.set(cache.keyFor(imagePaths[3], { prompt: "Describe the image." }), "A red square.", imagePaths[3]);
+  fs.writeFileSync(path.join(layout.outputFolder, "a.txt"), "An old caption.");
+
+  const plan = await runPlan(layout, imagePaths, cache, { isBatch: true });
+
+  assert.equal(plan.mode, "batch");
+  assert.deepEqual(
+    plan.shards.map((shard) => [path.basename(shard.file), shard.requests]),
+    [
+      ["batch_input_1.jsonl", 2],
+      ["batch_input_2.jsonl", 1],
+    ]
+  );
+  assert.equal(plan.requests, 3);
+  assert.deepEqual(plan.cached, ["d.png"]);
+  assert.deepEqual(plan.overwritten, [path.join(layout.outputFolder, "a.txt")]);
+  assert.match(plan.warnings[0], /1 caption file\(s\) already exist; the run would ask/);
+  assert.deepEqual(fs.readdirSync(layout.outputFolder).sort(), ["a.txt", DRY_RUN_FOLDER]);
+  const planFile = path.join(dryRunFolderOf(layout), PLAN_FILE);
+  assert.deepEqual(JSON.parse(fs.readFileSync(planFile, "utf8")).shards, plan.shards);
+});
+
+test("a dry run replaces the files of the last one", async () => {
+  const { layout, imagePaths, cache } = await createDataset(["a.png", "b.png", "c.png"]);
+
+  await runPlan(layout, imagePaths, cache, { isBatch: true });
+  await runPlan(layout, imagePaths, cache, { isBatch: false });
+
+  assert.deepEqual(fs.readdirSync(dryRunFolderOf(layout)).sort(), [PLAN_FILE, "requests_1.jsonl"]);
+  const lines = fs.readFileSync(path.join(dryRunFolderOf(layout), "requests_1.jsonl"), "utf8").trim().split("\n");
+  assert.deepEqual(lines.map((line) => JSON.parse(line).custom_id), ["a.png", "b.png", "c.png"]);
+});
+
+test("a dry run folder holding other files is left alone", async () => {
+  const { layout, imagePaths, cache } = await createDataset(["a.png"]);
+  await runPlan(layout, imagePaths, cache, { isBatch: false });
+  fs.writeFileSync(path.join(dryRunFolderOf(layout), "notes.txt"), "Keep me.");
+
+  await assert.rejects(runPlan(layout, imagePaths, cache, { isBatch: true }), {
+    message: /holds files a dry run did not write: notes\.txt\./,
+  });
+  assert.deepEqual(fs.readdirSync(dryRunFolderOf(layout)).sort(), ["notes.txt", PLAN_FILE, "requests_1.jsonl"]);
+});
+
+function runPlan(layout, imagePaths, cache, { isBatch }) {
+  const silent = () => {};
+  return runWithLogger({ log: silent, info: silent, warn: silent, error: silent }, () =>
+    planRun(
+      createOpenAIProvider({ apiKey: "test" }),
+      imagePaths,
+      new Map(imagePaths.map((imagePath) => [imagePath, "Describe the image."])),
+      { modelId: "gpt-4o", fidelity: "low", maxTokens: 100 },
+      layout,
+      cache,
+      {
+        isBatch,
+        batchLimits: { maxRequests: 2 },
+        captionFiles: true,
+        expectedOutputTokens: 100,
+      }
+    )
+  );
+}
+
+function dryRunFolderOf(layout) {
+  return path.join(layout.outputFolder, DRY_RUN_FOLDER);
+}
+
+async function createDataset(names) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-dry-run-"));
+  tempFolders.push(root);
+  const layout = {
+    imagesFolder: path.join(root, "images"),
+    outputFolder: path.join(root, "output"),
+    outputLayout: "mirror",
+    fileExt: "txt",
+  };
+  fs.mkdirSync(layout.imagesFolder);
+  fs.mkdirSync(layout.outputFolder);
+  const imagePaths = [];
+  for (const [index, name] of names.entries()) {
+    const imagePath = path.join(layout.imagesFolder, name);
+    // Images of their own color, so each has a cache key of its own
+    const background = { r: index * 40, g: 0, b: 0 };
+    await sharp({ create: { width: 8, height: 8, channels: 3, background } }).png().toFile(imagePath);
+    imagePaths.push(imagePath);
+  }
+  const cache = createCaptionCache({ dir: path.join(root, "cache"), enabled: true, settings: { modelId: "gpt-4o" } });
+  return { layout, imagePaths, cache };
+}
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { createCaptionWriter } from "../src/utils/exporters.js";
+
+const tempFolders = [];
+after(() => {
+  for (const folder of tempFolders) {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test("exports keep the captions of earlier runs when a run captions only some images", () => {
+  const layout = createDataset(["a.png", "b.png", "c.png"]);
+
+  // A full run, then a run that only captions the image that failed
+  const fullRun = createCaptionWriter({ layout, formats: ["metadata", "csv"] });
+  fullRun.write(path.join(layout.imagesFolder, "a.png"), "first a");
+  fullRun.write(path.join(layout.imagesFolder, "b.png"), "first b");
+  fullRun.flush();
+  const partialRun = createCaptionWriter({ layout, formats: ["metadata", "csv"] });
+  partialRun.write(path.join(layout.imagesFolder, "c.png"), "first c");
+  partialRun.write(path.join(layout.imagesFolder, "b.png"), "second b");
+  partialRun.flush();
+
+  assert.equal(
+    fs.readFileSync(path.join(layout.outputFolder, "metadata.jsonl"), "utf8"),
+    [
+      { file_name: "a.png", text: "first a" },
+      { file_name: "b.png", text: "second b" },
+      { file_name: "c.png", text: "first c" },
+    ]
+      .map((row) => JSON.stringify(row) + "\n")
+      .join("")
+  );
+  assert.equal(
+    fs.readFileSync(path.join(layout.outputFolder, "captions.csv"), "utf8"),
+    "file_name,caption\na.png,first a\nb.png,second b\nc.png,first c\n"
+  );
+  assert.equal(fs.existsSync(path.join(layout.outputFolder, "captions.json")), false);
+});
+
+test("records of images that were deleted are dropped from the exports", () => {
+  const layout = createDataset(["a.png", "b.png"]);
+
+  const firstRun = createCaptionWriter({ layout, formats: ["csv"] });
+  firstRun.write(path.join(layout.imagesFolder, "a.png"), "a");
+  firstRun.write(path.join(layout.imagesFolder, "b.png"), "b");
+  firstRun.flush();
+  fs.rmSync(path.join(layout.imagesFolder, "b.png"));
+  createCaptionWriter({ layout, formats: ["csv"] }).flush();
+
+  assert.equal(fs.readFileSync(path.join(layout.outputFolder, "captions.csv"), "utf8"), "file_name,caption\na.png,a\n");
+});
+
+test("records are read back from the JSON manifest of runs from before the records file", () => {
+  const layout = createDataset(["a.png", "b.png"]);
+  fs.writeFileSync(
+    path.join(layout.outputFolder, "captions.json"),
+    JSON.stringify({ images: [{ file: "a.png", caption: "old a", model: null, promptHash: null, createdAt: null }] })
+  );
+
+  const writer = createCaptionWriter({ layout, formats: ["csv"] });
+  writer.write(path.join(layout.imagesFolder, "b.png"), "new b");
+  writer.flush();
+
+  assert.equal(
+    fs.readFileSync(path.join(layout.outputFolder, "captions.csv"), "utf8"),
+    "file_name,caption\na.png,old a\nb.png,new b\n"
+  );
+});
+
+function createDataset(names) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-exports-"));
+  tempFolders.push(root);
+  const layout = {
+    imagesFolder: path.join(root, "images"),
+    outputFolder: path.join(root, "output"),
+    outputLayout: "mirror",
+    fileExt: "txt",
+  };
+  fs.mkdirSync(layout.imagesFolder);
+  fs.mkdirSync(layout.outputFolder);
+  for (const name of names) {
+    fs.writeFileSync(path.join(layout.imagesFolder, name), "");
+  }
+  return layout;
+}
@@ -0,0 +1,14 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { AbortError, FetchError } from "node-fetch";
+import { isNetworkError } from "../src/providers/http.js";
+
+test("only failures of the connection count as network errors", () => {
+  assert.equal(isNetworkError(new FetchError("request failed, reason: socket hang up", "system")), true);
+  assert.equal(isNetworkError(new AbortError("The operation was aborted.")), true);
+  assert.equal(isNetworkError(Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" })), true);
+
+  assert.equal(isNetworkError(new TypeError("Cannot read properties of undefined")), false);
+  assert.equal(isNetworkError(Object.assign(new Error("permission denied"), { code: "EACCES" })), false);
+  assert.equal(isNetworkError(Object.assign(new Error("no space left on device"), { code: "ENOSPC" })), false);
+});
@@ -0,0 +1,9 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createOpenAIProvider } from "../src/providers/openai.js";
+
+test("batch processing is only offered for another base URL when it is turned on", () => {
+  assert.equal(createOpenAIProvider({ apiKey: "test" }).supportsBatch, true);
+  assert.equal(createOpenAIProvider({ baseUrl: "http://localhost:11434/v1" }).supportsBatch, false);
+  assert.equal(createOpenAIProvider({ baseUrl: "http://localhost:4000/v1", batchApi: true }).supportsBatch, true);
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createPostProcessor, validatePostProcessingSteps } from "../src/utils/postProcessing.js";
+
+test("quotes and openings that describe the image are stripped", () => {
+  const postProcess = createPostProcessor({
+    steps: [{ step: "stripQuotes" }, { step: "stripPreamble" }, { step: "case", mode: "sentence" }],
+    escape: false,
+  });
+
+  assert.equal(postProcess('"This image shows a red fox in the snow."'), "A red fox in the snow.");
+  assert.equal(postProcess("“In this picture, a cat sleeps.”"), "A cat sleeps.");
+  assert.equal(postProcess("A photo of a harbor at dusk"), "A harbor at dusk");
+});
+
+test("replacements and banned words leave no stray separators behind", () => {
+  const postProcess = createPostProcessor({
+    steps: [
+      { step: "replace", find: "colour", replace: "color" },
+      { step: "replace", find: "\\bgirl\\b", replace: "woman", regex: true, ignoreCase: true },
+      { step: "bannedWords", words: ["masterpiece", "best quality"] },
+    ],
+    escape: false,
+  });
+
+  assert.equal(
+    postProcess("Masterpiece, a Girl with colour,  best quality , smiling"),
+    "a woman with color, smiling"
+  );
+});
+
+test("captions are cut to a number of words or tokens", () => {
+  const maxWords = createPostProcessor({ steps: [{ step: "maxWords", max: 3 }], escape: false });
+  assert.equal(maxWords("red, green, blue, yellow"), "red, green, blue");
+  assert.equal(maxWords("short caption"), "short caption");
+
+  const maxTokens = createPostProcessor({ steps: [{ step: "maxTokens", max: 2 }], escape: false });
+  assert.equal(maxTokens("one two three four five six seven eight"), "one two");
+});
+
+test("trigger words of the deepest matching folder follow the global ones, and escaping runs last", () => {
+  const postProcess = createPostProcessor({
+    steps: [
+      {
+        step: "triggerWords",
+        prepend: ["sks"],
+        append: ["(photo)"],
+        folders: { "10_aiko": { prepend: ["aiko"] }, "10_aiko/close": { prepend: ["aiko close-up"] } },
+      },
+    ],
+  });
+
+  assert.equal(postProcess("a woman", "10_aiko/close/a.png"), "sks, aiko close-up, a woman, \\(photo\\)");
+  assert.equal(postProcess("a woman", "10_aiko/b.png"), "sks, aiko, a woman, \\(photo\\)");
+  assert.equal(postProcess("a woman", "other/c.png"), "sks, a woman, \\(photo\\)");
+});
+
+test("tag answers are turned into a tag list before the steps run", () => {
+  const postProcess = createPostProcessor({
+    steps: [{ step: "triggerWords", prepend: ["sks"] }],
+    tags: {},
+  });
+
+  assert.equal(postProcess(JSON.stringify({ tags: ["red", "square"] })), "sks, red, square");
+});
+
+test("unknown steps and badly typed settings are rejected", () => {
+  assert.throws(() => validatePostProcessingSteps({}, "the test"), {
+    message: 'Option "postProcessing" in the test must be an array of steps.',
+  });
+  assert.throws(() => validatePostProcessingSteps([{ step: "shout" }], "the test"), {
+    message: /^The "step" of step 1 of "postProcessing" in the test must be one of: stripQuotes, /,
+  });
+  const steps = [{ step: "stripQuotes" }, { step: "maxWords", max: 0 }];
+  assert.throws(() => validatePostProcessingSteps(steps, "the test"), {
+    message: 'The "max" of step 2 of "postProcessing" in the test must be a positive whole number.',
+  });
+  assert.throws(() => validatePostProcessingSteps([{ step: "case", mode: "title" }], "the test"), {
+    message: 'The "mode" of step 1 of "postProcessing" in the test must be one of: lower, upper, sentence.',
+  });
+  assert.throws(() => validatePostProcessingSteps([{ step: "triggerWords", append: "sks" }], "the test"), {
+    message: 'The "append" of step 1 of "postProcessing" in the test must be an array of strings.',
+  });
+});
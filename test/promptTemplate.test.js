@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import { createPromptRenderer } from "../src/utils/promptTemplate.js";
+
+const imagesFolder = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-prompts-"));
+after(() => {
+  fs.rmSync(imagesFolder, { recursive: true, force: true });
+});
+
+test("existing tags are read from the file next to the image unless an earlier run wrote it", () => {
+  const promptFile = path.join(imagesFolder, "main_prompt.txt");
+  fs.writeFileSync(promptFile, "Tags so far: {{existingTags}}");
+  fs.writeFileSync(path.join(imagesFolder, "a.txt"), "1girl, solo\n");
+  fs.writeFileSync(path.join(imagesFolder, "b.txt"), "A girl standing alone.");
+  const recordedCaptions = new Map([["b.png", { caption: "A girl standing alone." }]]);
+  const renderPrompt = createPromptRenderer({ imagesFolder, promptFile, recordedCaptions });
+
+  assert.equal(renderPrompt(path.join(imagesFolder, "a.png")), "Tags so far: 1girl, solo");
+  assert.equal(renderPrompt(path.join(imagesFolder, "b.png")), "Tags so far: ");
+  // A caption that was edited since is the user's again
+  fs.writeFileSync(path.join(imagesFolder, "b.txt"), "A girl standing alone, smiling.");
+  assert.equal(renderPrompt(path.join(imagesFolder, "b.png")), "Tags so far: A girl standing alone, smiling.");
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Headers } from "node-fetch";
+import { createRateLimiter, getRetryAfterMs, parseDurationMs } from "../src/utils/rateLimiter.js";
+
+test("a request over the request limit waits until the oldest one leaves the one minute window", async (t) => {
+  const clock = useFakeClock(t);
+  const limiter = createRateLimiter({ requestsPerMinute: 2 });
+
+  await limiter.acquire();
+  clock.advance(10000);
+  await limiter.acquire();
+  await limiter.acquire();
+
+  assert.deepEqual(clock.waits, [50000]);
+});
+
+test("a request over the token limit waits until enough tokens leave the window", async (t) => {
+  const clock = useFakeClock(t);
+  const limiter = createRateLimiter({ tokensPerMinute: 1000 });
+
+  await limiter.acquire(600);
+  clock.advance(20000);
+  await limiter.acquire(300);
+  clock.advance(10000);
+  await limiter.acquire(400);
+
+  // Only the first request has to leave for 400 more tokens to fit
+  assert.deepEqual(clock.waits, [30000]);
+});
+
+test("an exhausted quota or a pause holds back every request until it is over", async (t) => {
+  const clock = useFakeClock(t);
+  const limiter = createRateLimiter({});
+
+  limiter.update({ remainingRequests: 0, resetRequestsMs: 5000 });
+  await limiter.acquire();
+  limiter.pause(2000);
+  await limiter.acquire();
+
+  assert.deepEqual(clock.waits, [5000, 2000]);
+});
+
+test("the limits reported by the provider replace the configured ones", async (t) => {
+  const clock = useFakeClock(t);
+  const limiter = createRateLimiter({ requestsPerMinute: 100 });
+
+  limiter.update({ limitRequests: 1 });
+  await limiter.acquire();
+  await limiter.acquire();
+
+  assert.deepEqual(clock.waits, [60000]);
+});
+
+test("Retry-After is read in milliseconds, in seconds or as an HTTP date", (t) => {
+  const clock = useFakeClock(t);
+
+  assert.equal(getRetryAfterMs(new Headers({ "retry-after-ms": "1500", "retry-after": "2" })), 1500);
+  assert.equal(getRetryAfterMs(new Headers({ "retry-after": "2" })), 2000);
+  assert.equal(getRetryAfterMs(new Headers({ "retry-after": new Date(clock.now + 30000).toUTCString() })), 30000);
+  // A date that has passed means no wait
+  assert.equal(getRetryAfterMs(new Headers({ "retry-after": new Date(clock.now - 30000).toUTCString() })), 0);
+  assert.equal(getRetryAfterMs(new Headers({ "retry-after": "soon" })), null);
+  assert.equal(getRetryAfterMs(new Headers()), null);
+  assert.equal(getRetryAfterMs(undefined), null);
+});
+
+test("reset durations are parsed in hours, minutes, seconds and milliseconds", () => {
+  assert.equal(parseDurationMs("6m0s"), 360000);
+  assert.equal(parseDurationMs("20ms"), 20);
+  assert.equal(parseDurationMs("1h2m3.5s"), 3723500);
+  assert.equal(parseDurationMs("soon"), null);
+  assert.equal(parseDurationMs(null), null);
+});
+
+/**
+ * Replaces the clock with one that only moves when told to or when a timer is
+ * set, which it fires at once. Every timer delay is kept in `waits`.
+ */
+function useFakeClock(t) {
+  const clock = {
+    now: Date.parse("2026-01-01T00:00:00Z"),
+    waits: [],
+    advance(ms) {
+      clock.now += ms;
+    },
+  };
+  t.mock.method(Date, "now", () => clock.now);
+  t.mock.method(globalThis, "setTimeout", (callback, ms) => {
+    clock.waits.push(ms);
+    clock.advance(ms);
+    callback();
+  });
+  return clock;
+}
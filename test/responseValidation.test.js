@@ -0,0 +1,17 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  DEFAULT_RESPONSE_POLICIES,
+  InvalidResponseError,
+  MAX_RAISED_TOKENS,
+  getRetryRequest,
+} from "../src/utils/responseValidation.js";
+
+test("a truncated reply is sent again with twice the token limit until the limit reaches its cap", () => {
+  const truncated = new InvalidResponseError("truncated");
+  const settings = { policies: DEFAULT_RESPONSE_POLICIES, alternatePrompt: "Describe it." };
+
+  assert.equal(getRetryRequest(truncated, { prompt: "p", maxTokens: 512 }, settings).maxTokens, 1024);
+  assert.equal(getRetryRequest(truncated, { prompt: "p", maxTokens: 3000 }, settings).maxTokens, MAX_RAISED_TOKENS);
+  assert.equal(getRetryRequest(truncated, { prompt: "p", maxTokens: MAX_RAISED_TOKENS }, settings), null);
+});
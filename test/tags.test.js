@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { TagResponseError, formatTags, parseTagResponse } from "../src/utils/tags.js";
+
+test("tags are normalized to the chosen style and deduplicated", () => {
+  const tags = parseTagResponse(JSON.stringify({ tags: ["Long_Hair", "long hair", "  blue   eyes ", "^_^"] }));
+
+  assert.equal(formatTags(tags), "long hair, blue eyes, ^_^");
+  assert.equal(formatTags(tags, { style: "underscore" }), "long_hair, blue_eyes, ^_^");
+});
+
+test("tags are ordered by confidence, and those without one keep their order after them", () => {
+  const tags = parseTagResponse(
+    JSON.stringify({
+      tags: [
+        { tag: "smile", confidence: null, category: null },
+        { tag: "1girl", confidence: 0.99, category: "character" },
+        { tag: "outdoors", confidence: null, category: "background" },
+        { tag: "hat", confidence: 0.6, category: "clothing" },
+      ],
+    })
+  );
+
+  assert.equal(formatTags(tags), "1girl, hat, smile, outdoors");
+  assert.equal(formatTags(tags, { maxTags: 2 }), "1girl, hat");
+});
+
+test("the whitelist and blacklist match tags in either style", () => {
+  const tags = parseTagResponse(JSON.stringify({ tags: ["long_hair", "blue eyes", "watermark", "smile"] }));
+
+  assert.equal(formatTags(tags, { blacklist: ["Watermark"] }), "long hair, blue eyes, smile");
+  assert.equal(
+    formatTags(tags, { whitelist: ["long hair", "blue_eyes", "watermark"], blacklist: ["watermark"] }),
+    "long hair, blue eyes"
+  );
+});
+
+test("an answer that is not a tag list is rejected", () => {
+  assert.throws(() => parseTagResponse("long hair, smile"), TagResponseError);
+  assert.throws(() => parseTagResponse(JSON.stringify({ labels: [] })), {
+    name: "TagResponseError",
+    message: 'The tag response has no "tags" array.',
+  });
+  assert.throws(() => parseTagResponse(JSON.stringify({ tags: [{ tag: "smile", confidence: "high" }] })), {
+    message: 'The confidence of tag "smile" is not a number.',
+  });
+});
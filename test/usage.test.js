@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { test } from "node:test";
+import { BudgetExceededError, createUsageTracker } from "../src/utils/usage.js";
+
+test("a reservation is refused when it would take the run over its budget", () => {
+  const tracker = createTestTracker(new EventEmitter(), { budget: 0.01 });
+
+  assert.equal(tracker.reserve("a.png", 0.004), true);
+  assert.equal(tracker.reserve("b.png", 0.004), true);
+  assert.equal(tracker.reserve("c.png", 0.004), false);
+  // Once a request is done its reservation no longer counts
+  tracker.release("a.png");
+  assert.equal(tracker.reserve("c.png", 0.004), true);
+});
+
+test("what was spent counts against the budget, and requests already sent are reserved anyway", () => {
+  const events = new EventEmitter();
+  const tracker = createTestTracker(events, { budget: 0.01 });
+
+  // $0.005 of input and $0.001 of output
+  events.emit("result", result("a.png", { inputTokens: 2000, outputTokens: 100 }));
+  assert.equal(tracker.reserve("b.png", 0.003), true);
+  assert.equal(tracker.reserve("c.png", 0.002), false);
+  assert.equal(tracker.reserve("batch 2", 0.002, { force: true }), true);
+});
+
+test("usage is added up from retries and results, with batch replies at half price", () => {
+  const events = new EventEmitter();
+  const tracker = createTestTracker(events);
+
+  const usage = { inputTokens: 1000, outputTokens: 100 };
+  events.emit("retry", { image: "a.png", file: "a.png", attempt: 2, usage, mode: "sync" });
+  events.emit("result", result("a.png", usage));
+  events.emit("result", result("b.png", { inputTokens: 1000, outputTokens: 100, imageTokens: 300 }, "batch"));
+  events.emit("result", { ...result("c.png", null), status: "failed", error: new BudgetExceededError(1) });
+
+  const { total, images } = tracker.summary();
+  assert.equal(total.replies, 3);
+  assert.equal(total.inputTokens, 3000);
+  // The image tokens of a reply are estimated unless the API reports them
+  assert.equal(total.imageTokens, 85 + 85 + 300);
+  assert.equal(total.completionTokens, 300);
+  assert.equal(total.refused, 1);
+  assert.deepEqual(
+    images.map(({ file, replies, usd }) => [file, replies, usd]),
+    [
+      ["a.png", 2, 2 * (0.0025 + 0.001)],
+      ["b.png", 1, (0.0025 + 0.001) / 2],
+    ]
+  );
+});
+
+test("a budget cannot be kept for a model without a price", () => {
+  assert.throws(() => createTestTracker(new EventEmitter(), { modelId: "llava:13b", budget: 1 }), {
+    message: /^No price is known for llava:13b, so a budget cannot be kept\./,
+  });
+});
+
+function createTestTracker(events, { modelId = "gpt-4o", budget = null } = {}) {
+  return createUsageTracker(events, {
+    // Every image costs 85 tokens, as a low detail image does with OpenAI
+    provider: { estimateImageTokens: () => 85 },
+    modelId,
+    fidelity: "low",
+    expectedOutputTokens: 100,
+    budget,
+  });
+}
+
+function result(file, usage, mode = "sync") {
+  return { image: file, file, status: "captioned", usage, mode };
+}
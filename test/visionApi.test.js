@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, test } from "node:test";
+import sharp from "sharp";
+import { buildCaptionRequest, prepareContext } from "../src/api/visionApi.js";
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), "captioner-vision-"));
+after(() => {
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test("a reference image replaced between runs is sent with its new content", async () => {
+  const imagePath = await createImage("image.png", "red");
+  const referencePath = await createImage("reference.png", "red");
+  const firstRun = await buildCaptionRequest(fakeProvider, imagePath, { context: createContext(referencePath) });
+  await createImage("reference.png", "blue");
+  const secondRun = await buildCaptionRequest(fakeProvider, imagePath, { context: createContext(referencePath) });
+
+  assert.notEqual(referenceOf(firstRun).base64, referenceOf(secondRun).base64);
+});
+
+test("a reference image that could not be encoded is read again", async () => {
+  const referencePath = path.join(folder, "broken.png");
+  fs.writeFileSync(referencePath, "not an image");
+  const context = createContext(referencePath);
+
+  await assert.rejects(prepareContext(context), { message: /Reference image .* cannot be sent/ });
+  await createImage("broken.png", "green");
+  await prepareContext(context);
+});
+
+// Returns the parts the request would be made of, as they are given
+const fakeProvider = { buildRequestBody: (request) => request };
+
+function referenceOf(request) {
+  return request.context.find((part) => part.type === "image").image;
+}
+
+function createContext(referencePath) {
+  return { references: [{ name: "Aiko", description: null, images: [referencePath] }], examples: [] };
+}
+
+async function createImage(name, background) {
+  const imagePath = path.join(folder, name);
+  await sharp({ create: { width: 8, height: 8, channels: 3, background } }).png().toFile(imagePath);
+  return imagePath;
+}